@@ -5,7 +5,96 @@ const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
 const jwt = require("jsonwebtoken");
 const cookieParser = require("cookie-parser");
 const stripe = require("stripe")(process.env.STRIPE_SK);
-const { getPetRecommendations, getAdvancedPetRecommendations } = require("./petRecommendations");
+const {
+    getPetRecommendations,
+    getAdvancedPetRecommendations,
+    getPreferenceProfile,
+    recordPetView,
+} = require("./petRecommendations");
+const {
+    reserveIntentSlot,
+    releaseIntentSlot,
+    trackPaymentIntent,
+    handleStripeWebhook,
+    recordPaymentIntent,
+    refundDonation,
+} = require("./stripePayments");
+const { GOAL_REACHED_REASON, createPledgeService } = require("./stripeSubscriptions");
+const { getCampaignStatus, getRemainingGoalMinor, withCampaignStatus } = require("./utils/campaign__status.js");
+const { normalizeCurrency, toMinorUnits, fromMinorUnits, getAmountMinor } = require("./utils/currency__units.js");
+const { historyEntry, transitionAdoptionRequest, setPetAdopted } = require("./utils/adoption__workflow.js");
+const {
+    DEFAULT_QUESTIONNAIRE,
+    parseQuestionnaire,
+    resolveQuestionnaire,
+    presentQuestionnaire,
+    checkAnswers,
+} = require("./utils/adoption__questionnaire.js");
+const {
+    presentMessage,
+    postMessage,
+    markThreadRead,
+    countUnread,
+    reportMessage,
+    moderateMessage,
+} = require("./utils/adoption__messages.js");
+const { verifyIdToken } = require("./utils/firebase__verifier.js");
+const { validate, validateBody } = require("./utils/validation__body.js");
+const {
+    petSchema,
+    campaignSchema,
+    adoptionRequestSchema,
+    adoptionReasonSchema,
+    reviewSchema,
+    reviewEditSchema,
+    reviewModerationSchema,
+    adoptionMessageSchema,
+    messageReportSchema,
+    messageModerationSchema,
+    notificationPreferencesSchema,
+    favoriteSchema,
+    savedSearchSchema,
+    pledgeSchema,
+} = require("./utils/validation__schemas.js");
+const { verifySelfOrAdmin, verifyOwnerOrAdmin } = require("./utils/authorization__checks.js");
+const { PET_TEXT_INDEX, normalizeCategory, searchPets } = require("./utils/pet__search.js");
+const { locate, parseGeoQuery, paginateNearby, geocodeMissing } = require("./utils/geo__location.js");
+const { createAuditLogger } = require("./utils/audit__log.js");
+const {
+    NOT_DELETED,
+    softDeletePet,
+    softDeleteCampaign,
+    restoreDocument,
+    purgeDeleted,
+} = require("./utils/soft__delete.js");
+const { NOTIFICATION_TYPES, getPreferences, createNotifier } = require("./utils/notification__center.js");
+const { FAVORITE_TARGETS, addFavorite, withAvailability } = require("./utils/user__favorites.js");
+const { pickCriteria, checkSavedSearch } = require("./utils/saved__searches.js");
+const { parseDateRange, rangeMatch } = require("./utils/date__range.js");
+const {
+    getTopCount,
+    getAdoptionFunnel,
+    getPetsByCategory,
+    getDonationStats,
+    getSignups,
+} = require("./utils/admin__analytics.js");
+const { parseExportOptions, streamExport } = require("./utils/data__export.js");
+const {
+    backfillReceiptNumbers,
+    formatReceiptNumber,
+    getRefundLabel,
+    renderReceiptHtml,
+    renderStatementHtml,
+} = require("./utils/donation__receipts.js");
+const {
+    REVIEW_STATUSES,
+    PUBLIC_REVIEW_STATUS,
+    moderateReview,
+    getRatingSummary,
+} = require("./utils/review__moderation.js");
+const { createMemoryStore, createMongoStore, createRateLimiter } = require("./utils/rate__limit.js");
+const { createStorageFromEnv } = require("./utils/image__storage.js");
+const { MAX_IMAGES, uploadImages, storeImages, removeImageFiles, coverFields } = require("./utils/image__uploads.js");
 
 const app = express();
 const port = process.env.PORT || 5000;
@@ -15,11 +104,29 @@ const corsOptions = {
     origin: ["http://localhost:5173", "http://localhost:5174", "https://adoptipet.web.app"],
     credentials: true,
     optionSuccessStatus: 200,
+    // Let the client read how long to wait after a 429
+    exposedHeaders: ["Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"],
 };
 
+// Number of proxies in front of the server (TRUST_PROXY=1 on most hosts), so req.ip is the client's address
+app.set("trust proxy", Number(process.env.TRUST_PROXY) || false);
+
 app.use(cors(corsOptions));
 app.use(cookieParser());
-app.use(express.json());
+app.use(
+    express.json({
+        // Keep the raw payload for Stripe signature verification
+        verify: (req, res, buf) => {
+            if (req.originalUrl === "/stripe/webhook") req.rawBody = buf;
+        },
+    })
+);
+
+// Uploaded pet and campaign images; served from here when they are kept on local disk
+const imageStorage = createStorageFromEnv();
+if (imageStorage.directory) {
+    app.use("/uploads", express.static(imageStorage.directory, { maxAge: "365d", immutable: true }));
+}
 
 const uri = process.env.MONGODB_URI;
 
@@ -38,6 +145,26 @@ const verifyToken = async (req, res, next) => {
     });
 };
 
+// Firebase ID token verification (Authorization: Bearer <idToken> or idToken in the body)
+const verifyFirebaseToken = async (req, res, next) => {
+    const header = req.headers.authorization;
+    const idToken = header?.startsWith("Bearer ") ? header.slice(7) : req.body?.idToken;
+
+    if (!idToken) {
+        return res.status(401).send({ success: false, message: "Firebase ID token is required" });
+    }
+    try {
+        const decoded = await verifyIdToken(idToken);
+        if (!decoded?.email) {
+            return res.status(401).send({ success: false, message: "Firebase account has no email" });
+        }
+        req.firebaseUser = { uid: decoded.uid, email: decoded.email, name: decoded.name, picture: decoded.picture };
+        next();
+    } catch (error) {
+        return res.status(401).send({ success: false, message: "Invalid Firebase ID token" });
+    }
+};
+
 // MongoClient with a MongoClientOptions object to set the Stable API version
 const client = new MongoClient(uri, {
     serverApi: {
@@ -56,6 +183,96 @@ async function run() {
         const donationsCollection = db.collection("donationsCollection");
         const recievedDonationCollection = db.collection("recievedDonationCollection");
         const reviewsCollection = db.collection("reviews");
+        const auditLogsCollection = db.collection("auditLogs");
+        const notificationsCollection = db.collection("notifications");
+        const favoritesCollection = db.collection("favorites");
+        const savedSearchesCollection = db.collection("savedSearches");
+        const countersCollection = db.collection("counters");
+        const pledgesCollection = db.collection("pledges");
+        const paymentIntentsCollection = db.collection("paymentIntents");
+        const petViewsCollection = db.collection("petViews");
+        const questionnairesCollection = db.collection("questionnaires");
+        const adoptionMessagesCollection = db.collection("adoptionMessages");
+
+        const recordAudit = createAuditLogger(auditLogsCollection);
+        const notify = createNotifier({ notificationsCollection, usersCollection });
+
+        // Rate limits per route group; RATE_LIMIT_STORE=mongo shares the counters between server instances
+        const limit = createRateLimiter({
+            store:
+                process.env.RATE_LIMIT_STORE === "mongo"
+                    ? createMongoStore(db.collection("rateLimits"))
+                    : createMemoryStore(),
+        });
+        // Every route is limited per IP; Stripe's webhook calls are verified by signature instead
+        const generalLimit = limit("general");
+        app.use((req, res, next) => (req.path === "/stripe/webhook" ? next() : generalLimit(req, res, next)));
+
+        // One donation per payment intent, so Stripe retries can never record a gift twice
+        recievedDonationCollection
+            .createIndex(
+                { payment_intent_id: 1 },
+                { unique: true, partialFilterExpression: { payment_intent_id: { $exists: true } } }
+            )
+            .catch((error) => console.error("Failed to create donation index:", error));
+
+        // Monthly pledge charges are keyed by their Stripe invoice instead
+        recievedDonationCollection
+            .createIndex(
+                { invoice_id: 1 },
+                { unique: true, partialFilterExpression: { invoice_id: { $exists: true } } }
+            )
+            .catch((error) => console.error("Failed to create donation invoice index:", error));
+
+        // Text index behind relevance-ranked pet search
+        petCollection
+            .createIndex(PET_TEXT_INDEX.keys, PET_TEXT_INDEX.options)
+            .catch((error) => console.error("Failed to create pet search index:", error));
+
+        // Proximity search over the geocoded location of pets and campaigns
+        for (const collection of [petCollection, donationsCollection]) {
+            collection
+                .createIndex({ geo: "2dsphere" })
+                .catch((error) => console.error("Failed to create geo index:", error));
+        }
+
+        // Donations recorded before receipts existed get their numbers once, oldest first
+        backfillReceiptNumbers({ recievedDonationCollection, countersCollection })
+            .then(({ numbered }) => numbered && console.log(`Numbered ${numbered} earlier donation receipt(s)`))
+            .catch((error) => console.error("Failed to number earlier donation receipts:", error));
+
+        // Each user's notifications are listed newest first
+        notificationsCollection
+            .createIndex({ recipient: 1, created_at: -1 })
+            .catch((error) => console.error("Failed to create notification index:", error));
+
+        // Each donor's payment intents by status (the outstanding ones hold slots in the counters collection)
+        paymentIntentsCollection
+            .createIndex({ donor_email: 1, status: 1, created_at: 1 })
+            .catch((error) => console.error("Failed to create payment intent index:", error));
+
+        // One view counter per user and pet
+        petViewsCollection
+            .createIndex({ user_email: 1, pet_id: 1 }, { unique: true })
+            .catch((error) => console.error("Failed to create pet view index:", error));
+
+        // One default questionnaire per (normalized) pet category
+        questionnairesCollection
+            .createIndex({ category: 1 }, { unique: true })
+            .catch((error) => console.error("Failed to create questionnaire index:", error));
+
+        // Each adoption request's thread is listed newest first; reported messages are queued for admins
+        adoptionMessagesCollection
+            .createIndex({ request_id: 1, created_at: -1 })
+            .catch((error) => console.error("Failed to create adoption message index:", error));
+        adoptionMessagesCollection
+            .createIndex({ report_status: 1, last_reported_at: -1 })
+            .catch((error) => console.error("Failed to create message report index:", error));
+
+        // A pet or campaign can only be favorited once per user
+        favoritesCollection
+            .createIndex({ user_email: 1, target_type: 1, target_id: 1 }, { unique: true })
+            .catch((error) => console.error("Failed to create favorites index:", error));
 
         //Admin Verification
         const verifyAdmin = async (req, res, next) => {
@@ -66,6 +283,8 @@ async function run() {
             if (!user || user?.role !== "admin")
                 return res.status(403).send({ message: "Only Admins can Access this!", role: user?.role });
 
+            req.user.role = user.role;
+            req.dbUser = user;
             next();
         };
 
@@ -76,19 +295,28 @@ async function run() {
             if (!user || (user?.role !== "user" && user?.role !== "admin")) {
                 return res.status(403).send({ message: "Access denied!", role: user?.role });
             }
+            req.user.role = user.role;
+            req.dbUser = user;
             next();
         };
 
-        //generate jwt
-        app.post("/jwt", (req, res) => {
-            const email = req.body.email;
+        // Ownership checks: the :email in the URL must be the caller's, and pets/campaigns must be theirs (admins pass)
+        const verifySelf = verifySelfOrAdmin("email");
+        const verifySelfQuery = verifySelfOrAdmin("user_email");
+        const verifyPetOwner = verifyOwnerOrAdmin(petCollection, { label: "Pet" });
+        const verifyCampaignOwner = verifyOwnerOrAdmin(donationsCollection, { label: "Donation Campaign" });
+        const verifyDonorsListOwner = verifyOwnerOrAdmin(donationsCollection, {
+            param: "campaignId",
+            label: "Donation Campaign",
+        });
 
-            if (!email) {
-                return res.status(400).send({ success: false, message: "Email is required" });
-            }
+        //generate jwt for the identity proven by the Firebase ID token
+        // The IP is limited before the token is checked, the user once it is known
+        app.post("/jwt", limit("auth"), verifyFirebaseToken, limit("auth", { scope: "user" }), (req, res) => {
+            const { email, uid } = req.firebaseUser;
 
             //token creation
-            const accessToken = jwt.sign({ email }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: "20d" });
+            const accessToken = jwt.sign({ email, uid }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: "20d" });
             res.cookie("token", accessToken, {
                 httpOnly: true,
                 secure: process.env.NODE_ENV === "production",
@@ -115,8 +343,24 @@ async function run() {
                     $ne: req?.user?.email,
                 },
             };
-            const result = await usersCollection.find(filter).toArray();
-            res.send(result);
+            try {
+                const result = await paginateCollection({
+                    collection: usersCollection,
+                    req,
+                    filter,
+                    projection: { password: 0 },
+                    sort: { field: "created_at", direction: -1 },
+                    defaultPageSize: 20,
+                });
+                res.send({
+                    users: result.items,
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                });
+            } catch (error) {
+                res.status(error.status || 500).send({ message: "Failed to retrieve users", error: error.message });
+            }
         });
 
         // GET API for fetching a user's role
@@ -128,7 +372,7 @@ async function run() {
         });
 
         // GET API for fetching a user's profile data
-        app.get("/user/profile/:email", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        app.get("/user/profile/:email", verifyToken, verifyUserOrAdmin, verifySelf, async (req, res) => {
             const email = req.params.email;
             try {
                 const user = await usersCollection.findOne({ email });
@@ -148,7 +392,7 @@ async function run() {
         });
 
         // PATCH API for updating user profile data
-        app.patch("/user/profile/:email", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        app.patch("/user/profile/:email", verifyToken, verifyUserOrAdmin, verifySelf, async (req, res) => {
             const email = req.params.email;
             const updateData = req.body;
             
@@ -186,24 +430,29 @@ async function run() {
             }
         });
 
-        // save or update a users info in db
-        app.post("/user", async (req, res) => {
-            const userData = req.body;
-            userData.role = "user";
-            userData.created_at = new Date().toISOString();
-            userData.last_loggedIn = new Date().toISOString();
-            const query = {
-                email: userData?.email,
-            };
+        // save or update a users info in db (email and uid come from the verified Firebase token)
+        app.post("/user", limit("auth"), verifyFirebaseToken, limit("auth", { scope: "user" }), async (req, res) => {
+            const { email, uid, name: tokenName, picture } = req.firebaseUser;
+            const { name, profilepic } = req.body || {};
+            const query = { email };
             const userExists = await usersCollection.findOne(query);
 
             if (!!userExists) {
                 const result = await usersCollection.updateOne(query, {
-                    $set: { last_loggedIn: new Date().toISOString() },
+                    $set: { last_loggedIn: new Date().toISOString(), firebase_uid: uid },
                 });
                 return res.send(result);
             }
 
+            const userData = {
+                name: name || tokenName || null,
+                email,
+                profilepic: profilepic || picture || null,
+                firebase_uid: uid,
+                role: "user",
+                created_at: new Date().toISOString(),
+                last_loggedIn: new Date().toISOString(),
+            };
             const result = await usersCollection.insertOne(userData);
             res.send(result);
         });
@@ -212,60 +461,74 @@ async function run() {
         app.patch("/user/role-update/:email", verifyToken, verifyAdmin, async (req, res) => {
             const email = req.params.email;
             const { role } = req.body;
+            if (!["user", "admin"].includes(role)) {
+                return res.status(400).send({ success: false, message: "Role must be user or admin" });
+            }
             const filter = { email: email };
+            const before = await usersCollection.findOne(filter);
             const updateRole = {
                 $set: {
                     role,
                 },
             };
             const result = await usersCollection.updateOne(filter, updateRole);
+            if (before) {
+                await recordAudit({
+                    req,
+                    action: "user.role_update",
+                    targetType: "user",
+                    targetId: before._id,
+                    before: { role: before.role },
+                    after: { role },
+                });
+            }
             res.send(result);
         });
 
+        // Owner details stored on pets and campaigns always come from the signed-in user's record
+        const ownerOf = (req) => ({
+            name: req.dbUser?.name || null,
+            email: req.user.email,
+            profilepic: req.dbUser?.profilepic || null,
+        });
+
         // POST API endpoint for Adding a pet
-        app.post("/add-pet", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        app.post("/add-pet", verifyToken, limit("writes"), verifyUserOrAdmin, validateBody(petSchema), async (req, res) => {
             const pet = req.body;
+            pet.added_by = ownerOf(req);
+            pet.adopted = false;
             pet.created_at = new Date().toISOString();
+            Object.assign(pet, await locate(pet.location));
             const result = await petCollection.insertOne(pet);
             res.send(result);
         });
 
-        const paginateCollection = require("./utils/pagination__collection.js");
+        const { paginateCollection } = require("./utils/pagination__collection.js");
+
+        // Newest first, keyed on created_at (+ _id) for stable cursors
+        const newestFirst = { field: "created_at", direction: -1 };
 
-        // GET API endpoint for Retrieving All pets with pagination
+        // GET API endpoint for searching all pets with pagination
+        // Query: search, category, min_age, max_age, gender, size, vaccinated, location, sort (newest | oldest | relevance)
         app.get("/all-pets", async (req, res) => {
-            const filter = { adopted: false };
-
-            const { category, search } = req.query;
-            if (category) {
-                const normalize = (str) => str?.toString().toLowerCase().replace(/\s|_/g, "").trim();
-                const catNorm = normalize(category);
-                filter.$expr = {
-                    $eq: [
-                        {
-                            $replaceAll: {
-                                input: {
-                                    $replaceAll: { input: { $toLower: "$category" }, find: "_", replacement: "" },
-                                },
-                                find: " ",
-                                replacement: "",
-                            },
-                        },
-                        catNorm,
-                    ],
-                };
-            }
-            if (search) {
-                filter.pet_name = { $regex: search, $options: "i" };
+            try {
+                const geo = await parseGeoQuery(req.query);
+                const result = await searchPets({ petCollection, req, geo });
+                res.send({
+                    pets: result.items,
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                    sort: result.sort,
+                    facets: result.facets,
+                });
+            } catch (error) {
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to fetch pets",
+                    error: error.message,
+                });
             }
-
-            const result = await paginateCollection({ collection: petCollection, req, filter });
-            res.send({
-                pets: result.items,
-                nextId: result.nextId,
-                previousId: result.previousId,
-                total: result.total,
-            });
         });
 
         // GET API endpoint for retrieving a single pet by ID
@@ -276,7 +539,7 @@ async function run() {
                 return res.status(400).send({ success: false, message: "Invalid pet ID" });
             }
             try {
-                const pet = await petCollection.findOne({ _id: new ObjectId(id) });
+                const pet = await petCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
                 if (!pet) {
                     return res.status(404).send({ success: false, message: "Pet not found" });
                 }
@@ -286,60 +549,226 @@ async function run() {
             }
         });
 
-        // GET API endpoint for pets by category
+        // GET API endpoint for pets by category (the same search, with category required)
         app.get("/category-pets", async (req, res) => {
             const { category } = req.query;
             if (!category) {
                 return res.status(400).send({ success: false, message: "Category is required" });
             }
             try {
-                // Use case-insensitive regex for category match
-                const filter = {
-                    category: { $regex: `^${category}$`, $options: "i" },
-                    adopted: false,
-                };
-
-                const result = await paginateCollection({ collection: petCollection, req, filter });
+                const geo = await parseGeoQuery(req.query);
+                const result = await searchPets({ petCollection, req, geo });
                 res.send({
                     pets: result.items,
                     nextId: result.nextId,
                     previousId: result.previousId,
                     total: result.total,
+                    sort: result.sort,
+                    facets: result.facets,
                 });
             } catch (error) {
-                res.status(500).send({ success: false, message: "Failed to fetch pets", error: error.message });
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to fetch pets",
+                    error: error.message,
+                });
             }
         });
 
-        // GET API endpoint for pet recommendations
-        app.get("/pet-recommendations", verifyToken, getPetRecommendations(petCollection));
+        // Everything the recommendations learn from: adoption requests, favorites and viewed pets
+        const recommendationCollections = {
+            petCollection,
+            adoptRequestsCollection,
+            favoritesCollection,
+            petViewsCollection,
+        };
 
-        // GET API endpoint for advanced pet recommendations
-        app.get("/pet-recommendations/advanced", verifyToken, getAdvancedPetRecommendations(petCollection));
+        // GET API endpoint for pet recommendations (each pet comes with the reasons it was suggested)
+        app.get("/pet-recommendations", verifyToken, getPetRecommendations(recommendationCollections));
 
-        // POST API endpoint for submitting an adoption request
-        app.post("/adopt-request", verifyToken, verifyUserOrAdmin, async (req, res) => {
-            const request = req.body;
-            if (!request.pet_id || !request.user_email) {
-                return res.status(400).send({ success: false, message: "pet_id and user_email are required" });
+        // GET API endpoint for advanced pet recommendations (adds each pet's score and score breakdown)
+        app.get("/pet-recommendations/advanced", verifyToken, getAdvancedPetRecommendations(recommendationCollections));
+
+        // GET API endpoint for the preference profile the recommendations are built from
+        app.get("/pet-recommendations/profile", verifyToken, getPreferenceProfile(recommendationCollections));
+
+        // POST API endpoint to record that the signed-in user viewed a pet
+        app.post("/pets/:id/views", verifyToken, limit("writes"), async (req, res) => {
+            const { id } = req.params;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid pet ID" });
             }
             try {
-                request.requested_at = new Date().toISOString();
-                request.adopted = false;
-                request.adoption_status = "pending";
-                const result = await adoptRequestsCollection.insertOne(request);
-                res.send({ success: true, result });
+                const pet = await petCollection.findOne(
+                    { _id: new ObjectId(id), ...NOT_DELETED },
+                    { projection: { _id: 1 } }
+                );
+                if (!pet) {
+                    return res.status(404).send({ success: false, message: "Pet not found" });
+                }
+                await recordPetView({ petViewsCollection, email: req.user.email, petId: pet._id });
+                res.send({ success: true });
+            } catch (error) {
+                res.status(500).send({ success: false, message: "Failed to record pet view", error: error.message });
+            }
+        });
+
+        // GET API endpoint for the questionnaire applicants answer when requesting to adopt a pet (without its scoring)
+        app.get("/pets/:id/questionnaire", async (req, res) => {
+            const { id } = req.params;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid pet ID" });
+            }
+            try {
+                const pet = await petCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+                if (!pet) {
+                    return res.status(404).send({ success: false, message: "Pet not found" });
+                }
+                res.send(presentQuestionnaire(await resolveQuestionnaire({ questionnairesCollection, pet })));
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to fetch questionnaire",
+                    error: error.message,
+                });
+            }
+        });
+
+        // GET API endpoint for the owner (or an admin) to see a pet's questionnaire with its scoring
+        app.get(
+            "/dashboard/my-added-pets/:id/questionnaire",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyPetOwner,
+            async (req, res) => {
+                try {
+                    res.send(await resolveQuestionnaire({ questionnairesCollection, pet: req.resource }));
+                } catch (error) {
+                    res.status(500).send({
+                        success: false,
+                        message: "Failed to fetch questionnaire",
+                        error: error.message,
+                    });
+                }
+            }
+        );
+
+        // PUT API endpoint for the owner (or an admin) to attach a questionnaire to a pet
+        app.put(
+            "/pets/:id/questionnaire",
+            verifyToken,
+            limit("writes"),
+            verifyUserOrAdmin,
+            verifyPetOwner,
+            async (req, res) => {
+                const { value, errors } = parseQuestionnaire(req.body);
+                if (errors.length) {
+                    return res.status(400).send({ success: false, message: "Validation failed", errors });
+                }
+                try {
+                    const questionnaire = {
+                        ...value,
+                        updated_by: req.user.email,
+                        updated_at: new Date().toISOString(),
+                    };
+                    await petCollection.updateOne({ _id: req.resource._id }, { $set: { questionnaire } });
+                    res.send({ success: true, questionnaire: { source: "pet", ...questionnaire } });
+                } catch (error) {
+                    res.status(500).send({
+                        success: false,
+                        message: "Failed to save questionnaire",
+                        error: error.message,
+                    });
+                }
+            }
+        );
+
+        // DELETE API endpoint to drop a pet's own questionnaire (its category default applies again)
+        app.delete("/pets/:id/questionnaire", verifyToken, verifyUserOrAdmin, verifyPetOwner, async (req, res) => {
+            try {
+                await petCollection.updateOne({ _id: req.resource._id }, { $unset: { questionnaire: "" } });
+                const { questionnaire, ...pet } = req.resource;
+                res.send({
+                    success: true,
+                    questionnaire: await resolveQuestionnaire({ questionnairesCollection, pet }),
+                });
             } catch (error) {
                 res.status(500).send({
                     success: false,
-                    message: "Failed to submit adoption request",
+                    message: "Failed to remove questionnaire",
                     error: error.message,
                 });
             }
         });
 
+        // POST API endpoint for submitting an adoption request
+        app.post(
+            "/adopt-request",
+            verifyToken,
+            limit("adoption"),
+            verifyUserOrAdmin,
+            validateBody(adoptionRequestSchema),
+            async (req, res) => {
+                const request = req.body;
+                if (request.user_email !== req.user.email) {
+                    return res
+                        .status(403)
+                        .send({ success: false, message: "You can only request adoption for yourself" });
+                }
+                try {
+                    // Pet details and owner are copied from the pet itself, never from the client
+                    const pet = await petCollection.findOne({ _id: new ObjectId(request.pet_id), ...NOT_DELETED });
+                    if (!pet) {
+                        return res.status(404).send({ success: false, message: "Pet not found" });
+                    }
+                    if (pet.adopted === true) {
+                        return res
+                            .status(409)
+                            .send({ success: false, message: "This pet is no longer available for adoption" });
+                    }
+                    if (pet.added_by?.email === req.user.email) {
+                        return res.status(409).send({ success: false, message: "You cannot adopt your own pet" });
+                    }
+                    // Answers are checked against the pet's questionnaire and stored with their question labels
+                    const questionnaire = await resolveQuestionnaire({ questionnairesCollection, pet });
+                    const { errors, answers, screening } = checkAnswers(questionnaire, request.answers);
+                    if (errors.length) {
+                        return res.status(400).send({ success: false, message: "Validation failed", errors });
+                    }
+                    request.answers = answers;
+                    request.screening = screening;
+                    request.pet_name = pet.pet_name;
+                    request.pet_image = pet.pet_image;
+                    request.added_by = pet.added_by;
+                    request.requested_at = new Date().toISOString();
+                    request.adopted = false;
+                    request.adoption_status = "pending";
+                    request.history = [
+                        historyEntry({ from: null, to: "pending", actor: { email: req.user.email, role: "adopter" } }),
+                    ];
+                    const result = await adoptRequestsCollection.insertOne(request);
+                    await notify({
+                        recipient: pet.added_by?.email,
+                        type: "adoption_request",
+                        title: `New adoption request for ${pet.pet_name}`,
+                        message: `${request.user_name || request.user_email} would like to adopt ${pet.pet_name}`,
+                        link: "/dashboard/adoption-requests",
+                        data: { request_id: result.insertedId.toString(), pet_id: request.pet_id },
+                        actor: req.user.email,
+                    });
+                    res.send({ success: true, result });
+                } catch (error) {
+                    res.status(500).send({
+                        success: false,
+                        message: "Failed to submit adoption request",
+                        error: error.message,
+                    });
+                }
+            }
+        );
+
         // GET API endpoint to check if already requested for adoption
-        app.get("/adopt-request/check", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        app.get("/adopt-request/check", verifyToken, verifyUserOrAdmin, verifySelfQuery, async (req, res) => {
             const { pet_id, user_email } = req.query;
             if (!pet_id || !user_email) {
                 return res.status(400).send({ success: false, message: "pet_id and user_email are required" });
@@ -356,8 +785,12 @@ async function run() {
                 if (pet && pet.adopted === true) {
                     return res.send({ alreadyRequested: true, adopted: true, ownPet: false });
                 }
-                // Check if already requested
-                const alreadyRequested = await adoptRequestsCollection.findOne({ pet_id, user_email });
+                // Check if already requested (a withdrawn or cancelled request can be made again)
+                const alreadyRequested = await adoptRequestsCollection.findOne({
+                    pet_id,
+                    user_email,
+                    adoption_status: { $nin: ["withdrawn", "cancelled"] },
+                });
                 res.send({ alreadyRequested: !!alreadyRequested, adopted: false, ownPet: false });
             } catch (error) {
                 res.status(500).send({
@@ -369,122 +802,331 @@ async function run() {
         });
 
         // get all pet added by user using email
-        app.get("/dashboard/my-added-pets/:email", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        app.get("/dashboard/my-added-pets/:email", verifyToken, verifyUserOrAdmin, verifySelf, async (req, res) => {
             const email = req.params.email;
-            const filter = { "added_by.email": email };
+            const filter = { "added_by.email": email, ...NOT_DELETED };
             const result = await petCollection.find(filter).toArray();
             res.send(result);
         });
 
         // PATCH API endpoint to update pet data
-        app.patch("/pet-update/:id", verifyToken, verifyUserOrAdmin, async (req, res) => {
-            const id = req.params.id;
-            const userEmail = req.user.email;
-            const updateData = req.body;
-            const filter = { _id: new ObjectId(id), "added_by.email": userEmail };
-            // Spread the updateData fields directly into $set
-            const update = { $set: { ...updateData, last_updated: new Date().toISOString() } };
-            const result = await petCollection.updateOne(filter, update);
-            res.send(result);
-        });
+        app.patch(
+            "/pet-update/:id",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyPetOwner,
+            validateBody(petSchema, { partial: true }),
+            async (req, res) => {
+                const updateData = req.body;
+                if (updateData.location !== undefined) Object.assign(updateData, await locate(updateData.location));
+                const filter = { _id: req.resource._id };
+                // Spread the updateData fields directly into $set
+                const update = { $set: { ...updateData, last_updated: new Date().toISOString() } };
+                const result = await petCollection.updateOne(filter, update);
+                res.send(result);
+            }
+        );
 
         // DELETE API endpoint to delete a pet by its ID
-        app.delete("/dashboard/my-added-pets/:id", verifyToken, verifyUserOrAdmin, async (req, res) => {
-            const id = req.params.id;
-            const userEmail = req.user.email;
-            if (!ObjectId.isValid(id)) {
-                return res.status(400).send({ success: false, message: "Invalid pet ID" });
-            }
+        app.delete("/dashboard/my-added-pets/:id", verifyToken, verifyUserOrAdmin, verifyPetOwner, async (req, res) => {
             try {
-                // Only Allow delete if the pet was added by the user
-                const filter = { _id: new ObjectId(id), "added_by.email": userEmail };
-                const result = await petCollection.deleteOne(filter);
-                if (result.deletedCount === 0) {
-                    return res.status(404).send({ success: false, message: "Pet not found or not authorized" });
-                }
-                res.send({ success: true, message: "Pet deleted successfully" });
+                // Only Allow delete if the pet was added by the user (or an admin); open adoption requests are closed
+                const result = await softDeletePet({
+                    petCollection,
+                    adoptRequestsCollection,
+                    pet: req.resource,
+                    actor: req.user,
+                    notify,
+                });
+                res.send({ success: true, message: "Pet deleted successfully", ...result });
             } catch (error) {
                 res.status(500).send({ success: false, message: "Failed to delete pet", error: error.message });
             }
         });
 
-        // GET API to get all adoption requests for pets added by user
-        app.get("/dashboard/adoption-requests/:email", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        // GET API to get all adoption requests for pets added by user. Each request carries its screening
+        // (score and disqualifying answers); ?sort=score lists the strongest applications first.
+        app.get("/dashboard/adoption-requests/:email", verifyToken, verifyUserOrAdmin, verifySelf, async (req, res) => {
             const email = req.params.email;
             const filter = { "added_by.email": email };
             const result = await adoptRequestsCollection.find(filter).toArray();
-            res.send(result);
+            // Qualified requests by score, then unscored ones (sent before questionnaires), then disqualified ones
+            const screeningRank = (request) => (request.screening?.disqualified ? -2 : request.screening?.score ?? -1);
+            if (req.query.sort === "score") result.sort((a, b) => screeningRank(b) - screeningRank(a));
+            res.send(result.map((request) => ({ ...request, screening: request.screening || null })));
         });
 
-        // Patch API for updating adoption request of pets.
-        app.patch("/adoption-request-update/:id", verifyToken, verifyUserOrAdmin, async (req, res) => {
-            const id = req.params.id;
-            const { adoption_status } = req.body;
-            const filter = { _id: new ObjectId(id) };
+        // Work out whether the caller acts on an adoption request as admin, pet owner or adopter
+        const getAdoptionActorRole = async (requestDoc, user) => {
+            if (user.role === "admin") return "admin";
+            const pet = ObjectId.isValid(requestDoc.pet_id)
+                ? await petCollection.findOne({ _id: new ObjectId(requestDoc.pet_id) })
+                : null;
+            const ownerEmail = pet?.added_by?.email || requestDoc.added_by?.email;
+            if (ownerEmail && ownerEmail === user.email) return "owner";
+            if (requestDoc.user_email === user.email) return "adopter";
+            return null;
+        };
 
-            // Find the request to get pet_id
-            const requestDoc = await adoptRequestsCollection.findOne(filter);
-            let adoptedValue = false;
-            if (adoption_status === "accepted") {
-                adoptedValue = true;
+        // Reasons end up in request history and notifications, so only plain text of bounded length is accepted.
+        // The rest of the body is left as it is.
+        const verifyReason = (req, res, next) => {
+            const { errors } = validate(adoptionReasonSchema, req.body);
+            if (errors.length) {
+                return res.status(400).send({ success: false, message: "Validation failed", errors });
             }
+            next();
+        };
 
-            // Update adoption_status and adopted in adoptRequestsCollection
-            const update = {
-                $set: {
-                    adoption_status,
-                    adopted: adoptedValue,
-                    last_updated: new Date().toISOString(),
-                },
-            };
-            const requestUpdate = await adoptRequestsCollection.updateOne(filter, update);
-
-            // Update adopted field in petCollection
-            if (requestDoc && id) {
-                await petCollection.updateOne({ _id: new ObjectId(id) }, { $set: { adopted: adoptedValue } });
+        // Patch API for moving an adoption request through the adoption workflow.
+        app.patch("/adoption-request-update/:id", verifyToken, verifyUserOrAdmin, verifyReason, async (req, res) => {
+            const id = req.params.id;
+            const { adoption_status, reason } = req.body || {};
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid adoption request ID" });
             }
+            try {
+                const requestDoc = await adoptRequestsCollection.findOne({ _id: new ObjectId(id) });
+                if (!requestDoc) {
+                    return res.status(404).send({ success: false, message: "Adoption request not found" });
+                }
+                const role = await getAdoptionActorRole(requestDoc, req.user);
+                if (!role) {
+                    return res.status(403).send({ success: false, message: "Access denied!" });
+                }
 
-            res.send(requestUpdate);
+                const result = await transitionAdoptionRequest({
+                    adoptRequestsCollection,
+                    petCollection,
+                    requestId: id,
+                    to: adoption_status,
+                    actor: { email: req.user.email, role },
+                    reason,
+                    notify,
+                });
+                if (!result.success) {
+                    return res.status(result.code).send({ success: false, message: result.message });
+                }
+                res.send({ success: true, request: result.request });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to update adoption request",
+                    error: error.message,
+                });
+            }
         });
 
+        // Only the adopter, the pet owner and admins reach a request's messages; the request is left on
+        // req.resource and the caller's role on req.threadRole
+        const verifyThreadParticipant = async (req, res, next) => {
+            const { id } = req.params;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid adoption request ID" });
+            }
+            try {
+                const request = await adoptRequestsCollection.findOne({ _id: new ObjectId(id) });
+                if (!request) {
+                    return res.status(404).send({ success: false, message: "Adoption request not found" });
+                }
+                const role = await getAdoptionActorRole(request, req.user);
+                if (!role) {
+                    return res.status(403).send({ success: false, message: "Access denied!" });
+                }
+                req.resource = request;
+                req.threadRole = role;
+                next();
+            } catch (error) {
+                res.status(500).send({ success: false, message: "Failed to load conversation", error: error.message });
+            }
+        };
+
+        // GET API endpoint for the messages of an adoption request, newest first, with the caller's unread count
+        app.get(
+            "/adoption-requests/:id/messages",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyThreadParticipant,
+            async (req, res) => {
+                try {
+                    const requestId = req.resource._id;
+                    const result = await paginateCollection({
+                        collection: adoptionMessagesCollection,
+                        req,
+                        filter: { request_id: requestId },
+                        sort: newestFirst,
+                        defaultPageSize: 20,
+                    });
+                    res.send({
+                        messages: result.items.map((message) => presentMessage(message, req.threadRole)),
+                        unread: await countUnread(adoptionMessagesCollection, requestId, req.user.email),
+                        nextId: result.nextId,
+                        previousId: result.previousId,
+                        total: result.total,
+                    });
+                } catch (error) {
+                    res.status(error.status || 500).send({
+                        success: false,
+                        message: "Failed to fetch messages",
+                        error: error.message,
+                    });
+                }
+            }
+        );
+
+        // POST API endpoint to send a message about an adoption request
+        app.post(
+            "/adoption-requests/:id/messages",
+            verifyToken,
+            limit("writes"),
+            verifyUserOrAdmin,
+            verifyThreadParticipant,
+            validateBody(adoptionMessageSchema),
+            async (req, res) => {
+                try {
+                    const result = await postMessage({
+                        messagesCollection: adoptionMessagesCollection,
+                        adoptRequestsCollection,
+                        request: req.resource,
+                        sender: { email: req.user.email, role: req.threadRole },
+                        body: req.body.body,
+                        notify,
+                    });
+                    if (!result.success) {
+                        return res.status(result.code).send({ success: false, message: result.message });
+                    }
+                    res.send({ success: true, adoptionMessage: result.adoptionMessage });
+                } catch (error) {
+                    res.status(500).send({ success: false, message: "Failed to send message", error: error.message });
+                }
+            }
+        );
+
+        // PATCH API endpoint to mark every message of an adoption request as read by the caller
+        app.patch(
+            "/adoption-requests/:id/messages/read",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyThreadParticipant,
+            async (req, res) => {
+                try {
+                    const result = await markThreadRead({
+                        messagesCollection: adoptionMessagesCollection,
+                        requestId: req.resource._id,
+                        email: req.user.email,
+                    });
+                    res.send({ success: true, ...result });
+                } catch (error) {
+                    res.status(500).send({
+                        success: false,
+                        message: "Failed to mark messages as read",
+                        error: error.message,
+                    });
+                }
+            }
+        );
+
+        // POST API endpoint to report an abusive message to the admins
+        app.post(
+            "/adoption-requests/:id/messages/:messageId/report",
+            verifyToken,
+            limit("writes"),
+            verifyUserOrAdmin,
+            verifyThreadParticipant,
+            validateBody(messageReportSchema),
+            async (req, res) => {
+                const { messageId } = req.params;
+                if (!ObjectId.isValid(messageId)) {
+                    return res.status(400).send({ success: false, message: "Invalid message ID" });
+                }
+                try {
+                    const message = await adoptionMessagesCollection.findOne({
+                        _id: new ObjectId(messageId),
+                        request_id: req.resource._id,
+                    });
+                    if (!message) {
+                        return res.status(404).send({ success: false, message: "Message not found" });
+                    }
+                    const result = await reportMessage({
+                        messagesCollection: adoptionMessagesCollection,
+                        message,
+                        reporter: req.user,
+                        reason: req.body.reason,
+                    });
+                    if (!result.success) {
+                        return res.status(result.code).send({ success: false, message: result.message });
+                    }
+                    res.send({ success: true, message: "Message reported to the admins" });
+                } catch (error) {
+                    res.status(500).send({ success: false, message: "Failed to report message", error: error.message });
+                }
+            }
+        );
+
         // Patch API for updating adoption status of pets.
-        app.patch("/adopt-status-update/:id", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        // Send request_id to approve that request, or adopted true/false to change the pet directly.
+        app.patch("/adopt-status-update/:id", verifyToken, verifyUserOrAdmin, verifyReason, async (req, res) => {
             const id = req.params.id;
-            const { adopted } = req.body || {};
+            const { adopted, request_id, reason } = req.body || {};
             const userEmail = req.user.email;
-            const filter = { _id: new ObjectId(id), "added_by.email": userEmail };
-
-            let adoptedValue = false;
-            if (adopted === true) {
-                adoptedValue = true;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid pet ID" });
             }
-
-            // Update adopted field in petCollection
-            const update = {
-                $set: {
-                    adopted: adoptedValue,
-                    last_updated: new Date().toISOString(),
-                },
-            };
             try {
-                const statusUpdate = await petCollection.updateOne(filter, update);
+                const filter = { _id: new ObjectId(id), "added_by.email": userEmail };
 
-                // Only update adoptRequestsCollection if pet_id exists
-                const requestExists = await adoptRequestsCollection.findOne({ pet_id: id });
-                let requestUpdate = null;
-                if (requestExists) {
-                    requestUpdate = await adoptRequestsCollection.updateMany(
-                        { pet_id: id },
-                        {
-                            $set: {
-                                adopted: adoptedValue,
-                                adoption_status: "accepted",
-                                last_updated: new Date().toISOString(),
-                            },
+                if (request_id) {
+                    const pet = await petCollection.findOne(filter);
+                    const requestDoc = ObjectId.isValid(request_id)
+                        ? await adoptRequestsCollection.findOne({ _id: new ObjectId(request_id), pet_id: id })
+                        : null;
+                    if (!pet || !requestDoc) {
+                        return res
+                            .status(404)
+                            .send({ success: false, message: "Adoption request not found or not authorized" });
+                    }
+                    // Approving straight from the pet page still passes through review
+                    if (requestDoc.adoption_status === "pending") {
+                        const review = await transitionAdoptionRequest({
+                            adoptRequestsCollection,
+                            petCollection,
+                            requestId: request_id,
+                            to: "under_review",
+                            actor: { email: userEmail, role: "owner" },
+                            notify,
+                        });
+                        if (!review.success) {
+                            return res.status(review.code).send({ success: false, message: review.message });
                         }
-                    );
+                    }
+                    const result = await transitionAdoptionRequest({
+                        adoptRequestsCollection,
+                        petCollection,
+                        requestId: request_id,
+                        to: "approved",
+                        actor: { email: userEmail, role: "owner" },
+                        reason,
+                        notify,
+                    });
+                    if (!result.success) {
+                        return res.status(result.code).send({ success: false, message: result.message });
+                    }
+                    return res.send({ success: true, request: result.request });
+                }
+
+                const result = await setPetAdopted({
+                    adoptRequestsCollection,
+                    petCollection,
+                    petFilter: filter,
+                    adopted: adopted === true,
+                    actor: { email: userEmail, role: "owner" },
+                    reason,
+                    notify,
+                });
+                if (!result.success) {
+                    return res.status(result.code).send({ success: false, message: result.message });
                 }
-                res.send({ petUpdate: statusUpdate, adoptionRequestUpdate: requestUpdate });
+                res.send({ petUpdate: result.petUpdate, adoptionRequestUpdate: result.adoptionRequestUpdate });
             } catch (error) {
                 res.status(500).send({
                     success: false,
@@ -494,65 +1136,238 @@ async function run() {
             }
         });
 
+        // Donations are stored in the campaign's currency, so it cannot change once money came in
+        const CURRENCY_LOCKED_MESSAGE = "The currency of a campaign that received donations cannot be changed";
+        const currencyLocked = (campaign, updatedData) =>
+            updatedData.currency !== undefined &&
+            campaign?.total_donations > 0 &&
+            normalizeCurrency(updatedData.currency) !== normalizeCurrency(campaign.currency);
+
         // POST API endpoint for creating a donation campaign
-        app.post("/dashboard/create-donation-campaign", verifyToken, verifyUserOrAdmin, async (req, res) => {
-            const donation = req.body;
-            donation.created_at = new Date().toISOString();
-            donation.paused = false;
-            const result = await donationsCollection.insertOne(donation);
-            res.send(result);
-        });
+        app.post(
+            "/dashboard/create-donation-campaign",
+            verifyToken,
+            limit("writes"),
+            verifyUserOrAdmin,
+            validateBody(campaignSchema),
+            async (req, res) => {
+                const donation = req.body;
+                donation.added_by = ownerOf(req);
+                donation.currency = normalizeCurrency(donation.currency);
+                donation.total_donations = 0;
+                donation.total_donations_minor = 0;
+                donation.created_at = new Date().toISOString();
+                donation.paused = false;
+                Object.assign(donation, await locate(donation.location));
+                const result = await donationsCollection.insertOne(donation);
+                res.send(result);
+            }
+        );
 
         // GET API for campaign data by user email
-        app.get("/dashboard/my-campaign-data/:email", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        app.get("/dashboard/my-campaign-data/:email", verifyToken, verifyUserOrAdmin, verifySelf, async (req, res) => {
             const email = req.params.email;
-            const filter = { "added_by.email": email };
+            const filter = { "added_by.email": email, ...NOT_DELETED };
             const result = await donationsCollection.find(filter).toArray();
             res.send(result);
         });
 
         // GET API for single campaign data using id
-        app.get("/donation-campaign-data/:id", verifyToken, verifyUserOrAdmin, async (req, res) => {
-            const id = req.params.id;
-            const filter = { _id: new ObjectId(id) };
-            const result = await donationsCollection.findOne(filter);
-            res.send(result);
-        });
+        app.get(
+            "/donation-campaign-data/:id",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyCampaignOwner,
+            async (req, res) => {
+                res.send(req.resource);
+            }
+        );
 
         // PATCH API endpoint to update donation campaign data
-        app.patch("/update-donation-campaign/:id", verifyToken, verifyUserOrAdmin, async (req, res) => {
-            const id = req.params.id;
-            const updatedData = req.body;
-            const filter = { _id: new ObjectId(id) };
-            // Spread the updatedData fields directly into $set
-            const update = { $set: { ...updatedData, last_updated: new Date().toISOString() } };
-            const result = await donationsCollection.updateOne(filter, update);
-            res.send(result);
+        app.patch(
+            "/update-donation-campaign/:id",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyCampaignOwner,
+            validateBody(campaignSchema, { partial: true }),
+            async (req, res) => {
+                const updatedData = req.body;
+                if (currencyLocked(req.resource, updatedData)) {
+                    return res.status(409).send({ success: false, message: CURRENCY_LOCKED_MESSAGE });
+                }
+                if (updatedData.location !== undefined) Object.assign(updatedData, await locate(updatedData.location));
+                const filter = { _id: req.resource._id };
+                // Spread the updatedData fields directly into $set
+                const update = { $set: { ...updatedData, last_updated: new Date().toISOString() } };
+                const result = await donationsCollection.updateOne(filter, update);
+                await recordAudit({
+                    req,
+                    action: "campaign.update",
+                    targetType: "campaign",
+                    targetId: req.resource._id,
+                    before: req.resource,
+                    after: { ...req.resource, ...update.$set },
+                });
+                res.send(result);
+            }
+        );
+
+        // POST / DELETE API endpoints for the uploaded images of a pet or campaign (owner or admin).
+        // Images are sent as multipart/form-data in "images"; the first image of a document becomes its cover.
+        const imageRoutes = ({ collection, prefix, label }) => ({
+            upload: async (req, res) => {
+                const doc = req.resource;
+                const images = doc.images || [];
+                if (images.length + req.files.length > MAX_IMAGES) {
+                    return res
+                        .status(400)
+                        .send({ success: false, message: `A ${label} can have at most ${MAX_IMAGES} images` });
+                }
+                let assets = [];
+                try {
+                    assets = await storeImages({
+                        storage: imageStorage,
+                        files: req.files,
+                        prefix: `${prefix}/${doc._id}`,
+                        actor: req.user.email,
+                    });
+                    // The cap and the cover are decided against the document as it is now, not the snapshot
+                    // above, so parallel uploads can neither go past MAX_IMAGES nor both set the cover
+                    const current = { $ifNull: ["$images", []] };
+                    const firstCover = coverFields(assets[0]);
+                    const updated = await collection.findOneAndUpdate(
+                        { _id: doc._id, $expr: { $lte: [{ $size: current }, MAX_IMAGES - assets.length] } },
+                        [
+                            {
+                                $set: {
+                                    pet_image: { $cond: [{ $size: current }, "$pet_image", firstCover.pet_image] },
+                                    pet_thumbnail: {
+                                        $cond: [{ $size: current }, "$pet_thumbnail", firstCover.pet_thumbnail],
+                                    },
+                                    images: { $concatArrays: [current, { $literal: assets }] },
+                                    last_updated: new Date().toISOString(),
+                                },
+                            },
+                        ],
+                        { returnDocument: "after" }
+                    );
+                    if (!updated) {
+                        await removeImageFiles(imageStorage, assets);
+                        return res
+                            .status(400)
+                            .send({ success: false, message: `A ${label} can have at most ${MAX_IMAGES} images` });
+                    }
+                    const cover = updated.images[0].id === assets[0].id ? firstCover : {};
+                    res.send({ success: true, images: assets, ...cover });
+                } catch (error) {
+                    // Files stored for an update that never happened would be left behind for good
+                    await removeImageFiles(imageStorage, assets);
+                    res.status(error.status || 500).send({
+                        success: false,
+                        message: "Failed to upload images",
+                        error: error.message,
+                    });
+                }
+            },
+            remove: async (req, res) => {
+                const doc = req.resource;
+                const images = doc.images || [];
+                const image = images.find((item) => item.id === req.params.imageId);
+                if (!image) {
+                    return res.status(404).send({ success: false, message: "Image not found" });
+                }
+                try {
+                    const remaining = images.filter((item) => item.id !== image.id);
+                    // Removing the cover promotes the next image
+                    const cover = images[0].id === image.id ? coverFields(remaining[0]) : {};
+                    await collection.updateOne(
+                        { _id: doc._id },
+                        {
+                            $pull: { images: { id: image.id } },
+                            $set: { ...cover, last_updated: new Date().toISOString() },
+                        }
+                    );
+                    await removeImageFiles(imageStorage, [image]);
+                    res.send({ success: true, images: remaining, ...cover });
+                } catch (error) {
+                    res.status(500).send({
+                        success: false,
+                        message: "Failed to delete image",
+                        error: error.message,
+                    });
+                }
+            },
         });
+        const petImages = imageRoutes({ collection: petCollection, prefix: "pets", label: "pet" });
+        const campaignImages = imageRoutes({ collection: donationsCollection, prefix: "campaigns", label: "campaign" });
+
+        app.post(
+            "/pets/:id/images",
+            verifyToken,
+            limit("writes"),
+            verifyUserOrAdmin,
+            verifyPetOwner,
+            uploadImages,
+            petImages.upload
+        );
+        app.delete("/pets/:id/images/:imageId", verifyToken, verifyUserOrAdmin, verifyPetOwner, petImages.remove);
+        app.post(
+            "/donation-campaigns/:id/images",
+            verifyToken,
+            limit("writes"),
+            verifyUserOrAdmin,
+            verifyCampaignOwner,
+            uploadImages,
+            campaignImages.upload
+        );
+        app.delete(
+            "/donation-campaigns/:id/images/:imageId",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyCampaignOwner,
+            campaignImages.remove
+        );
 
         // GET API endpoint for Retrieving All donation campaigns with pagination (for infinite scrolling)
+        // With ?lat=&lng= (or ?near=) and ?radius_km= only nearby campaigns are listed, nearest first
         app.get("/donation-campaigns", async (req, res) => {
-            const result = await paginateCollection({ collection: donationsCollection, req });
-            res.send({
-                donations: result.items,
-                nextId: result.nextId,
-                previousId: result.previousId,
-                total: result.total,
-            });
-        });
-
-        // GET API endpoint for retrieving a single campaign detail by ID
-        app.get("/donation-detail/:id", async (req, res) => {
-            const { id } = req.params;
-            if (!ObjectId.isValid(id)) {
-                return res.status(400).send({ success: false, message: "Invalid Donation ID" });
-            }
             try {
-                const donation = await donationsCollection.findOne({ _id: new ObjectId(id) });
-                if (!donation) {
+                const geo = await parseGeoQuery(req.query);
+                const result = geo
+                    ? await paginateNearby({ collection: donationsCollection, req, filter: NOT_DELETED, geo })
+                    : await paginateCollection({
+                          collection: donationsCollection,
+                          req,
+                          filter: NOT_DELETED,
+                          sort: newestFirst,
+                      });
+                res.send({
+                    donations: result.items.map(withCampaignStatus),
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                });
+            } catch (error) {
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to fetch donation campaigns",
+                    error: error.message,
+                });
+            }
+        });
+
+        // GET API endpoint for retrieving a single campaign detail by ID
+        app.get("/donation-detail/:id", async (req, res) => {
+            const { id } = req.params;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid Donation ID" });
+            }
+            try {
+                const donation = await donationsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+                if (!donation) {
                     return res.status(404).send({ success: false, message: "Donation Campaign not found" });
                 }
-                res.send(donation);
+                res.send(withCampaignStatus(donation));
             } catch (error) {
                 res.status(500).send({
                     success: false,
@@ -562,7 +1377,8 @@ async function run() {
             }
         });
 
-        app.post("/create-payment-intent", async (req, res) => {
+        // POST API endpoint to start a one-off donation; the donor is the signed-in user
+        app.post("/create-payment-intent", verifyToken, limit("payments"), verifyUserOrAdmin, async (req, res) => {
             const { _id, amount } = req.body;
             if (!ObjectId.isValid(_id)) {
                 return res.status(400).send({ success: false, message: "Invalid Campaign ID" });
@@ -571,18 +1387,71 @@ async function run() {
                 return res.status(400).send({ success: false, message: "Invalid amount" });
             }
             try {
-                const donCampaign = await donationsCollection.findOne({ _id: new ObjectId(_id) });
+                const donCampaign = await donationsCollection.findOne({ _id: new ObjectId(_id), ...NOT_DELETED });
                 if (!donCampaign) {
                     return res.status(404).send({ success: false, message: "Donation Campaign not found" });
                 }
-                const paymentIntent = await stripe.paymentIntents.create({
-                    amount: Math.round(Number(amount) * 100),
-                    currency: "usd",
-                    automatic_payment_methods: {
-                        enabled: true,
-                    },
+
+                // Refuse money for campaigns that are paused, past their last date or already funded
+                const status = getCampaignStatus(donCampaign);
+                if (status !== "active") {
+                    return res
+                        .status(409)
+                        .send({ success: false, message: `Donation Campaign is ${status}`, status });
+                }
+
+                // Never charge more than what is left to reach the goal. Stripe takes the currency's minor unit.
+                const currency = normalizeCurrency(donCampaign.currency);
+                const chargeMinor = Math.min(toMinorUnits(amount, currency), getRemainingGoalMinor(donCampaign));
+                if (chargeMinor <= 0) {
+                    return res.status(400).send({ success: false, message: "Invalid amount" });
+                }
+                const chargeAmount = fromMinorUnits(chargeMinor, currency);
+
+                const email = req.user.email;
+                const slot = await reserveIntentSlot({ countersCollection, email });
+                if (!slot.allowed) {
+                    res.setHeader("Retry-After", slot.retryAfter);
+                    return res.status(429).send({
+                        success: false,
+                        message: "You have too many unfinished payments, please complete or wait for them first",
+                        retry_after: slot.retryAfter,
+                    });
+                }
+
+                let paymentIntent;
+                try {
+                    paymentIntent = await stripe.paymentIntents.create({
+                        amount: chargeMinor,
+                        currency,
+                        automatic_payment_methods: {
+                            enabled: true,
+                        },
+                        // Lets the webhook link the payment back to the campaign and donor
+                        metadata: {
+                            campaign_id: donCampaign._id.toString(),
+                            donor_email: email,
+                            donor_name: req.dbUser.name || "",
+                        },
+                    });
+                } catch (error) {
+                    await releaseIntentSlot({ countersCollection, email, slotId: slot.slotId });
+                    throw error;
+                }
+                await trackPaymentIntent({
+                    paymentIntentsCollection,
+                    countersCollection,
+                    paymentIntent,
+                    email,
+                    slotId: slot.slotId,
+                });
+                res.send({
+                    clientSecret: paymentIntent.client_secret,
+                    paymentIntentId: paymentIntent.id,
+                    amount: chargeAmount,
+                    currency,
+                    capped: chargeAmount < Number(amount),
                 });
-                res.send({ clientSecret: paymentIntent.client_secret });
             } catch (error) {
                 res.status(500).send({
                     success: false,
@@ -592,40 +1461,70 @@ async function run() {
             }
         });
 
-        // POST API endpoint to store received donation details after successful checkout
-        app.post("/recieved-donation", verifyToken, verifyUserOrAdmin, async (req, res) => {
-            const { campaign_id, amount_donated, user_name, email, profilepic, pet_image, pet_name } = req.body;
-            if (!campaign_id || !ObjectId.isValid(campaign_id) || !amount_donated || !user_name || !email) {
-                return res.status(400).send({ success: false, message: "Required fields missing or invalid." });
+        const pledges = createPledgeService({
+            stripe,
+            pledgesCollection,
+            donationsCollection,
+            recievedDonationCollection,
+            usersCollection,
+            countersCollection,
+            notify,
+        });
+        // A one-off gift that reaches the goal ends the campaign's monthly pledges as well
+        const onCampaignFunded = (campaignId) =>
+            pledges.stopCampaignPledges({ campaignId, reason: GOAL_REACHED_REASON });
+
+        const recordDonation = recordPaymentIntent({
+            donationsCollection,
+            recievedDonationCollection,
+            usersCollection,
+            countersCollection,
+            paymentIntentsCollection,
+            notify,
+            onCampaignFunded,
+        });
+
+        // POST API endpoint for Stripe webhook events (payment succeeded / failed)
+        app.post(
+            "/stripe/webhook",
+            handleStripeWebhook({
+                stripe,
+                donationsCollection,
+                recievedDonationCollection,
+                usersCollection,
+                countersCollection,
+                paymentIntentsCollection,
+                notify,
+                onCampaignFunded,
+                handleSubscriptionEvent: pledges.handleSubscriptionEvent,
+            })
+        );
+
+        // POST API endpoint to confirm a donation right after checkout.
+        // The amount is read from Stripe, never from the request body; the webhook records the same payment idempotently.
+        app.post("/recieved-donation", verifyToken, limit("payments"), verifyUserOrAdmin, async (req, res) => {
+            const { payment_intent_id } = req.body;
+            if (!payment_intent_id) {
+                return res.status(400).send({ success: false, message: "payment_intent_id is required" });
             }
             try {
-                const donationDoc = {
-                    campaign_id: new ObjectId(campaign_id),
-                    amount_donated: Number(amount_donated),
-                    user_name,
-                    pet_image: pet_image,
-                    email,
-                    pet_name: pet_name,
-                    profilepic: profilepic || null,
-                    donated_at: new Date().toISOString(),
-                };
-                const result = await recievedDonationCollection.insertOne(donationDoc);
-
-                // Sum all donations for this campaign
-                const agg = await recievedDonationCollection
-                    .aggregate([
-                        { $match: { campaign_id: new ObjectId(campaign_id) } },
-                        { $group: { _id: "$campaign_id", total: { $sum: "$amount_donated" } } },
-                    ])
-                    .toArray();
-                const totalDonations = agg.length > 0 ? agg[0].total : 0;
-                // Update campaign total_donations field
-                await donationsCollection.updateOne(
-                    { _id: new ObjectId(campaign_id) },
-                    { $set: { total_donations: totalDonations } }
+                const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent_id);
+                if (paymentIntent.status !== "succeeded") {
+                    return res.status(409).send({ success: false, message: "Payment has not succeeded yet" });
+                }
+                if (paymentIntent.metadata?.donor_email && paymentIntent.metadata.donor_email !== req.user.email) {
+                    return res.status(403).send({ success: false, message: "This payment belongs to another donor" });
+                }
+                const donorEmail = paymentIntent.metadata?.donor_email || req.user.email;
+                const result = await recordDonation(
+                    { ...paymentIntent, metadata: { ...paymentIntent.metadata, donor_email: donorEmail } },
+                    "succeeded"
                 );
+                if (!result.recorded) {
+                    return res.status(400).send({ success: false, message: result.reason });
+                }
 
-                res.send({ success: true, result, total_donations: totalDonations });
+                res.send({ success: true, total_donations: result.total_donations });
             } catch (error) {
                 res.status(500).send({
                     success: false,
@@ -636,41 +1535,273 @@ async function run() {
         });
 
         // GET API endpoint to fetch donors for a specific campaign
-        app.get("/dashboard/donors-list/:campaignId", verifyToken, verifyUserOrAdmin, async (req, res) => {
-            const campaignId = req.params.campaignId;
-            if (!ObjectId.isValid(campaignId)) {
-                return res.status(400).send([]);
+        app.get(
+            "/dashboard/donors-list/:campaignId",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyDonorsListOwner,
+            async (req, res) => {
+                const filter = { campaign_id: req.resource._id, payment_status: { $ne: "failed" } };
+                const donors = await recievedDonationCollection.find(filter).toArray();
+                res.send(donors);
             }
-            const filter = { campaign_id: new ObjectId(campaignId) };
-            const donors = await recievedDonationCollection.find(filter).toArray();
-            res.send(donors);
-        });
+        );
 
         // GET api endpoint to fetch donations added by user using email
-        app.get("/dashboard/my-donations/:email", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        app.get("/dashboard/my-donations/:email", verifyToken, verifyUserOrAdmin, verifySelf, async (req, res) => {
             const email = req.params.email;
-            const filter = { email: email };
+            const filter = { email: email, payment_status: { $ne: "failed" } };
             const result = await recievedDonationCollection.find(filter).toArray();
             res.send(result);
         });
 
-        // DELETE API endpoint to delete a donation by ID
+        // Streams a CSV / JSON export; getQuery(req) returns { collection, filter, filename } for the caller
+        const exportRoute = (type, getQuery) => async (req, res) => {
+            try {
+                const { format, columns, projection, dateFilter } = parseExportOptions(type, req.query);
+                const { collection, filter, filename } = getQuery(req);
+                const cursor = collection.find({ ...filter, ...dateFilter }, { projection }).sort({ _id: 1 });
+                await streamExport({ res, cursor, format, columns, filename });
+            } catch (error) {
+                // Once rows are on their way the status can no longer change, so cut the download short
+                if (res.headersSent) return res.destroy(error);
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to export data",
+                    error: error.message,
+                });
+            }
+        };
+
+        // GET API endpoint to export a campaign's donors as CSV or JSON (?format=, ?columns=, ?from=&to=)
+        app.get(
+            "/dashboard/donors-list/:campaignId/export",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyDonorsListOwner,
+            exportRoute("donors", (req) => ({
+                collection: recievedDonationCollection,
+                filter: { campaign_id: req.resource._id, payment_status: { $ne: "failed" } },
+                filename: `donors-${req.resource._id}`,
+            }))
+        );
+
+        // GET API endpoint to export the adoption requests for a user's pets as CSV or JSON
+        app.get(
+            "/dashboard/adoption-requests/:email/export",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifySelf,
+            exportRoute("adoptionRequests", (req) => ({
+                collection: adoptRequestsCollection,
+                filter: { "added_by.email": req.params.email },
+                filename: "adoption-requests",
+            }))
+        );
+
+        // GET API endpoint for a printable receipt of one donation (?format=json for the raw data)
+        app.get("/dashboard/donation-receipt/:id", verifyToken, verifyUserOrAdmin, async (req, res) => {
+            const id = req.params.id;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid donation ID" });
+            }
+            try {
+                const filter = { _id: new ObjectId(id) };
+                const donation = await recievedDonationCollection.findOne(filter);
+                if (!donation || (donation.email !== req.user.email && req.user.role !== "admin")) {
+                    return res.status(404).send({ success: false, message: "Donation not found" });
+                }
+                if (donation.payment_status === "failed") {
+                    return res.status(409).send({ success: false, message: "Failed payments have no receipt" });
+                }
+                // Numbers are given out when the donation is recorded, so one can only be missing for a moment
+                if (!donation.receipt_number) {
+                    return res
+                        .status(409)
+                        .send({ success: false, message: "The receipt for this donation is not ready yet" });
+                }
+                if (req.query.format === "json") {
+                    return res.send({
+                        success: true,
+                        receipt: {
+                            ...donation,
+                            receipt: formatReceiptNumber(donation.receipt_number),
+                            refund_label: getRefundLabel(donation),
+                        },
+                    });
+                }
+                res.type("html").send(renderReceiptHtml(donation));
+            } catch (error) {
+                res.status(500).send({ success: false, message: "Failed to create receipt", error: error.message });
+            }
+        });
+
+        // GET API endpoint for a printable statement of a donor's gifts in one calendar year (?year=2025)
+        app.get("/dashboard/giving-statement/:email", verifyToken, verifyUserOrAdmin, verifySelf, async (req, res) => {
+            const email = req.params.email;
+            const year = req.query.year ? Number(req.query.year) : new Date().getUTCFullYear();
+            if (!Number.isInteger(year) || year < 2000 || year > 9999) {
+                return res.status(400).send({ success: false, message: "year must be a four-digit year" });
+            }
+            try {
+                const filter = {
+                    email,
+                    payment_status: { $ne: "failed" },
+                    donated_at: {
+                        $gte: new Date(Date.UTC(year, 0, 1)).toISOString(),
+                        $lt: new Date(Date.UTC(year + 1, 0, 1)).toISOString(),
+                    },
+                };
+                const donations = await recievedDonationCollection.find(filter).sort({ donated_at: 1 }).toArray();
+                const donor = (await usersCollection.findOne({ email })) || { email };
+                res.type("html").send(renderStatementHtml({ donor, year, donations }));
+            } catch (error) {
+                res.status(500).send({ success: false, message: "Failed to create statement", error: error.message });
+            }
+        });
+
+        // POST API endpoint to start a monthly pledge to a campaign; the first payment is confirmed with clientSecret
+        app.post("/pledges", verifyToken, limit("payments"), verifyUserOrAdmin, validateBody(pledgeSchema), async (req, res) => {
+            const { campaign_id, amount } = req.body;
+            try {
+                const campaign = await donationsCollection.findOne({ _id: new ObjectId(campaign_id), ...NOT_DELETED });
+                if (!campaign) {
+                    return res.status(404).send({ success: false, message: "Donation Campaign not found" });
+                }
+                const result = await pledges.startPledge({ user: req.dbUser, campaign, amount });
+                if (!result.success) {
+                    return res.status(result.code).send({ success: false, message: result.message });
+                }
+                res.send({ success: true, pledge: result.pledge, clientSecret: result.clientSecret });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to start monthly pledge",
+                    error: error.message,
+                });
+            }
+        });
+
+        // GET API endpoint for a donor's monthly pledges (?status=active to see only running ones)
+        app.get("/dashboard/my-pledges/:email", verifyToken, verifyUserOrAdmin, verifySelf, async (req, res) => {
+            const filter = { donor_email: req.params.email };
+            if (req.query.status) filter.status = req.query.status.toString();
+            const result = await pledgesCollection.find(filter).sort({ created_at: -1 }).toArray();
+            res.send(result);
+        });
+
+        // Only let the donor (or an admin) change a pledge; the pledge is left on req.resource
+        const verifyPledgeDonor = async (req, res, next) => {
+            const id = req.params.id;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid pledge ID" });
+            }
+            const pledge = await pledgesCollection.findOne({ _id: new ObjectId(id) });
+            if (!pledge || (pledge.donor_email !== req.user.email && req.user.role !== "admin")) {
+                return res.status(404).send({ success: false, message: "Pledge not found" });
+            }
+            req.resource = pledge;
+            next();
+        };
+
+        // PATCH API endpoints to pause and resume a monthly pledge
+        const pausePledgeRoute = (paused) => async (req, res) => {
+            try {
+                const result = await pledges.setPledgePaused({ pledge: req.resource, paused });
+                if (!result.success) {
+                    return res.status(result.code).send({ success: false, message: result.message });
+                }
+                res.send({ success: true, pledge: result.pledge });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to update monthly pledge",
+                    error: error.message,
+                });
+            }
+        };
+        app.patch("/pledges/:id/pause", verifyToken, verifyUserOrAdmin, verifyPledgeDonor, pausePledgeRoute(true));
+        app.patch("/pledges/:id/resume", verifyToken, verifyUserOrAdmin, verifyPledgeDonor, pausePledgeRoute(false));
+
+        // DELETE API endpoint to cancel a monthly pledge
+        app.delete("/pledges/:id", verifyToken, verifyUserOrAdmin, verifyPledgeDonor, async (req, res) => {
+            try {
+                const result = await pledges.cancelPledge({ pledge: req.resource, reason: req.body?.reason });
+                if (!result.success) {
+                    return res.status(result.code).send({ success: false, message: result.message });
+                }
+                res.send({ success: true, pledge: result.pledge });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to cancel monthly pledge",
+                    error: error.message,
+                });
+            }
+        });
+
+        const issueRefund = refundDonation({ stripe, donationsCollection, recievedDonationCollection, notify });
+
+        // DELETE API endpoint to refund a donation by ID (full refund, or partial when an amount is sent)
         app.delete("/dashboard/donation-delete/:id", verifyToken, verifyUserOrAdmin, async (req, res) => {
             const id = req.params.id;
             const userEmail = req.user.email;
+            const { amount } = req.body || {};
             if (!ObjectId.isValid(id)) {
-                return res.status(400).send({ success: false, message: "Invalid pet ID" });
+                return res.status(400).send({ success: false, message: "Invalid donation ID" });
             }
             try {
-                // Only Allow delete if the pet was added by the user
-                const filter = { _id: new ObjectId(id), email: userEmail };
-                const result = await recievedDonationCollection.deleteOne(filter);
-                if (result.deletedCount === 0) {
+                // Only Allow refund if the donation was made by the user
+                const donation = await recievedDonationCollection.findOne({ _id: new ObjectId(id), email: userEmail });
+                if (!donation || donation.payment_status === "failed") {
                     return res
                         .status(404)
                         .send({ success: false, message: "No Donation with this Id found or Authorization Failed" });
                 }
-                res.send({ success: true, message: "Refunded successfully" });
+                if (!donation.payment_intent_id) {
+                    return res
+                        .status(409)
+                        .send({ success: false, message: "This donation has no Stripe payment and cannot be refunded" });
+                }
+
+                // Campaigns may limit how many days after donating a refund can be asked for
+                const campaign = await donationsCollection.findOne({ _id: donation.campaign_id });
+                const refundWindowDays = Number(campaign?.refund_window_days);
+                if (refundWindowDays > 0) {
+                    const windowEnds = new Date(donation.donated_at).getTime() + refundWindowDays * 86400000;
+                    if (Date.now() > windowEnds) {
+                        return res.status(403).send({
+                            success: false,
+                            message: `Refunds for this campaign are only possible within ${refundWindowDays} days`,
+                        });
+                    }
+                }
+
+                // Amounts still pending with Stripe are reserved so they cannot be refunded twice
+                const reserved = (donation.refunds || [])
+                    .filter((item) => item.status !== "failed")
+                    .reduce(
+                        (sum, item) => sum + (item.amount_minor ?? toMinorUnits(item.amount, donation.currency)),
+                        0
+                    );
+                const refundableMinor = getAmountMinor(donation) - reserved;
+                const refundMinor = amount === undefined ? refundableMinor : toMinorUnits(amount, donation.currency);
+                if (refundableMinor <= 0) {
+                    return res.status(409).send({ success: false, message: "This donation has already been refunded" });
+                }
+                if (isNaN(refundMinor) || refundMinor <= 0 || refundMinor > refundableMinor) {
+                    const refundable = fromMinorUnits(refundableMinor, donation.currency);
+                    return res
+                        .status(400)
+                        .send({ success: false, message: `Refund amount must be between 0 and ${refundable}` });
+                }
+
+                const result = await issueRefund(donation, refundMinor);
+                res.send({
+                    success: true,
+                    message: result.refund_status === "succeeded" ? "Refunded successfully" : "Refund requested",
+                    ...result,
+                });
             } catch (error) {
                 res.status(500).send({ success: false, message: "Failed to Refund", error: error.message });
             }
@@ -679,10 +1810,21 @@ async function run() {
         // GET API endpoint for Retrieving All pets (Admin Only)
         app.get("/admin/all-pets", verifyToken, verifyAdmin, async (req, res) => {
             try {
-                const result = await petCollection.find().toArray();
-                res.send(result);
+                const result = await paginateCollection({
+                    collection: petCollection,
+                    req,
+                    filter: req.query.deleted === "true" ? { deleted_at: { $ne: null } } : NOT_DELETED,
+                    sort: newestFirst,
+                    defaultPageSize: 20,
+                });
+                res.send({
+                    pets: result.items,
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                });
             } catch (error) {
-                res.status(500).send({ message: "Failed to retrieve pets", error: error.message });
+                res.status(error.status || 500).send({ message: "Failed to retrieve pets", error: error.message });
             }
         });
 
@@ -693,59 +1835,93 @@ async function run() {
                 return res.status(400).send({ success: false, message: "Invalid pet ID" });
             }
             try {
-                const result = await petCollection.deleteOne({ _id: new ObjectId(id) });
-                if (result.deletedCount === 0) {
+                const pet = await petCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+                if (!pet) {
                     return res.status(404).send({ success: false, message: "Pet not found or not authorized" });
                 }
-                res.send({ success: true, message: "Pet deleted successfully" });
+                const result = await softDeletePet({
+                    petCollection,
+                    adoptRequestsCollection,
+                    pet,
+                    actor: req.user,
+                    notify,
+                });
+                await recordAudit({
+                    req,
+                    action: "pet.admin_delete",
+                    targetType: "pet",
+                    targetId: id,
+                    before: { deleted_at: null },
+                    after: { deleted_at: result.deleted_at, deleted_by: req.user.email },
+                });
+                res.send({ success: true, message: "Pet deleted successfully", ...result });
             } catch (error) {
                 res.status(500).send({ success: false, message: "Failed to delete pet", error: error.message });
             }
         });
 
-        // Patch API for updating adoption status of pets.
-        app.patch("/admin/adopt-status-update/:id", verifyToken, verifyAdmin, async (req, res) => {
+        // Patch API for updating adoption status of pets (Admin override).
+        // Send request_id with adoption_status to move one request, or adopted true/false to change the pet directly.
+        app.patch("/admin/adopt-status-update/:id", verifyToken, verifyAdmin, verifyReason, async (req, res) => {
             const id = req.params.id;
-            const { adopted, adoption_status } = req.body || {};
-            const filter = { _id: new ObjectId(id) };
-
-            let adoptedValue = false;
-            if (adopted === true) {
-                adoptedValue = true;
-            }
-
-            // Determine adoption_status to set in adoptRequestsCollection
-            let statusToSet = adoption_status;
-            if (!statusToSet) {
-                statusToSet = adoptedValue ? "accepted" : "pending";
+            const { adopted, adoption_status, request_id, reason } = req.body || {};
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid pet ID" });
             }
-
-            // Update adopted field in petCollection
-            const update = {
-                $set: {
-                    adopted: adoptedValue,
-                    last_updated: new Date().toISOString(),
-                },
-            };
+            const actor = { email: req.user.email, role: "admin" };
             try {
-                const statusUpdate = await petCollection.updateOne(filter, update);
+                if (request_id && adoption_status) {
+                    const requestDoc = ObjectId.isValid(request_id)
+                        ? await adoptRequestsCollection.findOne({ _id: new ObjectId(request_id), pet_id: id })
+                        : null;
+                    if (!requestDoc) {
+                        return res.status(404).send({ success: false, message: "Adoption request not found" });
+                    }
+                    const result = await transitionAdoptionRequest({
+                        adoptRequestsCollection,
+                        petCollection,
+                        requestId: request_id,
+                        to: adoption_status,
+                        actor,
+                        reason,
+                        notify,
+                    });
+                    if (!result.success) {
+                        return res.status(result.code).send({ success: false, message: result.message });
+                    }
+                    await recordAudit({
+                        req,
+                        action: "adoption.admin_override",
+                        targetType: "adoption_request",
+                        targetId: request_id,
+                        before: { adoption_status: requestDoc.adoption_status },
+                        after: { adoption_status: result.request.adoption_status, reason: reason || null },
+                    });
+                    return res.send({ success: true, request: result.request });
+                }
 
-                // Only update adoptRequestsCollection if pet_id exists
-                const requestExists = await adoptRequestsCollection.findOne({ pet_id: id });
-                let requestUpdate = null;
-                if (requestExists) {
-                    requestUpdate = await adoptRequestsCollection.updateMany(
-                        { pet_id: id },
-                        {
-                            $set: {
-                                adopted: adoptedValue,
-                                adoption_status: statusToSet,
-                                last_updated: new Date().toISOString(),
-                            },
-                        }
-                    );
+                const petBefore = await petCollection.findOne({ _id: new ObjectId(id) });
+                const result = await setPetAdopted({
+                    adoptRequestsCollection,
+                    petCollection,
+                    petFilter: { _id: new ObjectId(id) },
+                    adopted: adopted === true,
+                    actor,
+                    reason,
+                    notify,
+                });
+                if (!result.success) {
+                    return res.status(result.code).send({ success: false, message: result.message });
                 }
-                res.send({ petUpdate: statusUpdate, adoptionRequestUpdate: requestUpdate });
+                await recordAudit({
+                    req,
+                    action: "adoption.admin_override",
+                    targetType: "pet",
+                    targetId: id,
+                    before: { adopted: petBefore?.adopted ?? null },
+                    after: { adopted: adopted === true, reason: reason || null },
+                });
+                res.send({ petUpdate: result.petUpdate, adoptionRequestUpdate: result.adoptionRequestUpdate });
             } catch (error) {
                 res.status(500).send({
                     success: false,
@@ -762,13 +1938,26 @@ async function run() {
                 return res.status(400).send({ success: false, message: "Invalid pet ID" });
             }
             try {
-                // Only Allow delete if the pet was added by the user
-                const filter = { _id: new ObjectId(id) };
-                const result = await petCollection.deleteOne(filter);
-                if (result.deletedCount === 0) {
+                const pet = await petCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+                if (!pet) {
                     return res.status(404).send({ success: false, message: "Pet not found or not authorized" });
                 }
-                res.send({ success: true, message: "Pet deleted successfully" });
+                const result = await softDeletePet({
+                    petCollection,
+                    adoptRequestsCollection,
+                    pet,
+                    actor: req.user,
+                    notify,
+                });
+                await recordAudit({
+                    req,
+                    action: "pet.admin_delete",
+                    targetType: "pet",
+                    targetId: id,
+                    before: { deleted_at: null },
+                    after: { deleted_at: result.deleted_at, deleted_by: req.user.email },
+                });
+                res.send({ success: true, message: "Pet deleted successfully", ...result });
             } catch (error) {
                 res.status(500).send({ success: false, message: "Failed to delete pet", error: error.message });
             }
@@ -777,10 +1966,21 @@ async function run() {
         // GET API endpoint for Retrieving All Donations by User (Admin Only)
         app.get("/admin/dashboard/all-donations", verifyToken, verifyAdmin, async (req, res) => {
             try {
-                const result = await donationsCollection.find().toArray();
-                res.send(result);
+                const result = await paginateCollection({
+                    collection: donationsCollection,
+                    req,
+                    filter: req.query.deleted === "true" ? { deleted_at: { $ne: null } } : NOT_DELETED,
+                    sort: newestFirst,
+                    defaultPageSize: 20,
+                });
+                res.send({
+                    donations: result.items.map(withCampaignStatus),
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                });
             } catch (error) {
-                res.status(500).send({ message: "Failed to retrieve donations", error: error.message });
+                res.status(error.status || 500).send({ message: "Failed to retrieve donations", error: error.message });
             }
         });
 
@@ -791,12 +1991,31 @@ async function run() {
                 return res.status(400).send({ success: false, message: "Invalid donation camapign ID" });
             }
             try {
-                const result = await donationsCollection.deleteOne({ _id: new ObjectId(id) });
-                if (result.deletedCount === 0) {
+                const campaign = await donationsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+                if (!campaign) {
                     return res
                         .status(404)
                         .send({ success: false, message: "Donation Campaign not found or not authorized" });
                 }
+                // Campaigns that still hold donations must have them refunded first
+                const result = await softDeleteCampaign({
+                    donationsCollection,
+                    recievedDonationCollection,
+                    campaign,
+                    actor: req.user,
+                });
+                if (!result.success) {
+                    return res.status(result.code).send({ success: false, message: result.message });
+                }
+                await recordAudit({
+                    req,
+                    action: "campaign.admin_delete",
+                    targetType: "campaign",
+                    targetId: id,
+                    before: { deleted_at: null, paused: campaign.paused },
+                    after: { deleted_at: result.deleted_at, deleted_by: req.user.email, paused: true },
+                });
+                await pledges.stopCampaignPledges({ campaignId: campaign._id, reason: "The campaign has closed" });
                 res.send({ success: true, message: "Donation Campaign deleted successfully" });
             } catch (error) {
                 res.status(500).send({
@@ -808,27 +2027,298 @@ async function run() {
         });
 
         // PATCH API endpoint to update Donation Campaign by Admin
-        app.patch("/admin/update-donation-campaign/:id", verifyToken, verifyAdmin, async (req, res) => {
-            const id = req.params.id;
-            const updatedData = req.body;
-            const filter = { _id: new ObjectId(id) };
-            // Spread the updatedData fields directly into $set
-            const update = { $set: { ...updatedData, last_updated: new Date().toISOString() } };
-            const result = await donationsCollection.updateOne(filter, update);
-            res.send(result);
+        app.patch(
+            "/admin/update-donation-campaign/:id",
+            verifyToken,
+            verifyAdmin,
+            validateBody(campaignSchema, { partial: true }),
+            async (req, res) => {
+                const id = req.params.id;
+                if (!ObjectId.isValid(id)) {
+                    return res.status(400).send({ success: false, message: "Invalid donation campaign ID" });
+                }
+                const updatedData = req.body;
+                const filter = { _id: new ObjectId(id) };
+                const before = await donationsCollection.findOne(filter);
+                if (currencyLocked(before, updatedData)) {
+                    return res.status(409).send({ success: false, message: CURRENCY_LOCKED_MESSAGE });
+                }
+                if (updatedData.location !== undefined) Object.assign(updatedData, await locate(updatedData.location));
+                // Spread the updatedData fields directly into $set
+                const update = { $set: { ...updatedData, last_updated: new Date().toISOString() } };
+                const result = await donationsCollection.updateOne(filter, update);
+                if (before) {
+                    await recordAudit({
+                        req,
+                        action: "campaign.admin_update",
+                        targetType: "campaign",
+                        targetId: before._id,
+                        before,
+                        after: { ...before, ...update.$set },
+                    });
+                }
+                res.send(result);
+            }
+        );
+
+        // PATCH API endpoint to restore a soft deleted pet or campaign (Admin Only)
+        const restoreRoute =
+            ({ collection, targetType, label }) =>
+            async (req, res) => {
+                const id = req.params.id;
+                if (!ObjectId.isValid(id)) {
+                    return res.status(400).send({ success: false, message: `Invalid ${label} ID` });
+                }
+                try {
+                    const doc = await collection.findOne({ _id: new ObjectId(id), deleted_at: { $ne: null } });
+                    if (!doc) {
+                        return res.status(404).send({ success: false, message: `No deleted ${label} with this ID` });
+                    }
+                    const result = await restoreDocument({ collection, doc, actor: req.user });
+                    await recordAudit({
+                        req,
+                        action: `${targetType}.restore`,
+                        targetType,
+                        targetId: id,
+                        before: { deleted_at: doc.deleted_at, deleted_by: doc.deleted_by },
+                        after: { deleted_at: null, deleted_by: null },
+                    });
+                    res.send({ success: true, message: `${label} restored successfully`, ...result });
+                } catch (error) {
+                    res.status(500).send({
+                        success: false,
+                        message: `Failed to restore ${label}`,
+                        error: error.message,
+                    });
+                }
+            };
+        app.patch(
+            "/admin/restore-pet/:id",
+            verifyToken,
+            verifyAdmin,
+            restoreRoute({ collection: petCollection, targetType: "pet", label: "Pet" })
+        );
+        app.patch(
+            "/admin/restore-donation-campaign/:id",
+            verifyToken,
+            verifyAdmin,
+            restoreRoute({ collection: donationsCollection, targetType: "campaign", label: "Donation Campaign" })
+        );
+
+        // GET API endpoint for the default adoption questionnaire of each category (Admin Only)
+        app.get("/admin/questionnaires", verifyToken, verifyAdmin, async (req, res) => {
+            try {
+                const categories = await questionnairesCollection.find().sort({ category: 1 }).toArray();
+                // fallback applies to categories without a default of their own
+                res.send({ categories, fallback: DEFAULT_QUESTIONNAIRE });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to fetch questionnaires",
+                    error: error.message,
+                });
+            }
+        });
+
+        // PUT API endpoint to set the default adoption questionnaire of a category (Admin Only)
+        app.put("/admin/questionnaires/:category", verifyToken, verifyAdmin, async (req, res) => {
+            const category = normalizeCategory(req.params.category);
+            const { value, errors } = parseQuestionnaire(req.body);
+            if (!category) errors.push({ field: "category", message: "is required" });
+            if (errors.length) {
+                return res.status(400).send({ success: false, message: "Validation failed", errors });
+            }
+            try {
+                const before = await questionnairesCollection.findOne({ category });
+                const questionnaire = {
+                    category,
+                    ...value,
+                    updated_by: req.user.email,
+                    updated_at: new Date().toISOString(),
+                };
+                await questionnairesCollection.updateOne({ category }, { $set: questionnaire }, { upsert: true });
+                await recordAudit({
+                    req,
+                    action: "questionnaire.update",
+                    targetType: "questionnaire",
+                    targetId: category,
+                    before,
+                    after: questionnaire,
+                });
+                res.send({ success: true, questionnaire });
+            } catch (error) {
+                res.status(500).send({ success: false, message: "Failed to save questionnaire", error: error.message });
+            }
+        });
+
+        // DELETE API endpoint to drop a category's default questionnaire; the built-in one applies again (Admin Only)
+        app.delete("/admin/questionnaires/:category", verifyToken, verifyAdmin, async (req, res) => {
+            const category = normalizeCategory(req.params.category);
+            try {
+                const before = await questionnairesCollection.findOneAndDelete({ category });
+                if (!before) {
+                    return res.status(404).send({ success: false, message: "No questionnaire for this category" });
+                }
+                await recordAudit({
+                    req,
+                    action: "questionnaire.delete",
+                    targetType: "questionnaire",
+                    targetId: category,
+                    before,
+                    after: null,
+                });
+                res.send({ success: true, message: "Questionnaire removed" });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to remove questionnaire",
+                    error: error.message,
+                });
+            }
         });
 
+        // PATCH API endpoint to geocode pets and campaigns saved before they had coordinates (Admin Only)
+        app.patch("/admin/geocode-locations", verifyToken, verifyAdmin, async (req, res) => {
+            try {
+                const result = {
+                    pets: await geocodeMissing(petCollection),
+                    campaigns: await geocodeMissing(donationsCollection),
+                };
+                await recordAudit({ req, action: "geo.backfill", targetType: "system", after: result });
+                res.send({ success: true, ...result });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to geocode locations",
+                    error: error.message,
+                });
+            }
+        });
+
+        // DELETE API endpoint to permanently purge pets and campaigns deleted longer ago than the retention period
+        app.delete("/admin/purge-deleted", verifyToken, verifyAdmin, async (req, res) => {
+            try {
+                const result = await purgeDeleted({
+                    petCollection,
+                    donationsCollection,
+                    adoptRequestsCollection,
+                    imageStorage,
+                });
+                await recordAudit({ req, action: "soft_delete.purge", targetType: "system", after: result });
+                res.send({ success: true, ...result });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to purge deleted items",
+                    error: error.message,
+                });
+            }
+        });
+
+        // GET API endpoint for the audit log (Admin Only, read-only)
+        // Query: actor, target_type, from, to (ISO dates)
+        app.get("/admin/audit-logs", verifyToken, verifyAdmin, async (req, res) => {
+            const { actor, target_type } = req.query;
+            let range;
+            try {
+                range = parseDateRange(req.query);
+            } catch (error) {
+                return res.status(400).send({ success: false, message: error.message });
+            }
+            const filter = rangeMatch("created_at", range);
+            if (actor) filter.actor = actor.toString();
+            if (target_type) filter.target_type = target_type.toString();
+            try {
+                const result = await paginateCollection({
+                    collection: auditLogsCollection,
+                    req,
+                    filter,
+                    sort: newestFirst,
+                    defaultPageSize: 20,
+                });
+                res.send({
+                    logs: result.items,
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                });
+            } catch (error) {
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to retrieve audit logs",
+                    error: error.message,
+                });
+            }
+        });
+
+        // GET API endpoints to export all donations or all pets as CSV or JSON (Admin Only)
+        app.get(
+            "/admin/export/donations",
+            verifyToken,
+            verifyAdmin,
+            exportRoute("donations", () => ({
+                collection: recievedDonationCollection,
+                filter: {},
+                filename: "donations",
+            }))
+        );
+        app.get(
+            "/admin/export/pets",
+            verifyToken,
+            verifyAdmin,
+            exportRoute("pets", () => ({ collection: petCollection, filter: {}, filename: "pets" }))
+        );
+
+        // GET API endpoints for admin analytics over an optional ?from=&to= range (Admin Only)
+        const analyticsRoute = (compute) => async (req, res) => {
+            try {
+                const range = parseDateRange(req.query);
+                const result = await compute(range, req);
+                res.send({ success: true, from: range.from, to: range.to, ...result });
+            } catch (error) {
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to compute analytics",
+                    error: error.message,
+                });
+            }
+        };
+        app.get(
+            "/admin/analytics/adoption-funnel",
+            verifyToken,
+            verifyAdmin,
+            analyticsRoute((range) => getAdoptionFunnel({ adoptRequestsCollection, range }))
+        );
+        app.get(
+            "/admin/analytics/pets",
+            verifyToken,
+            verifyAdmin,
+            analyticsRoute((range) => getPetsByCategory({ petCollection, range }))
+        );
+        app.get(
+            "/admin/analytics/donations",
+            verifyToken,
+            verifyAdmin,
+            analyticsRoute((range, req) =>
+                getDonationStats({ recievedDonationCollection, range, top: getTopCount(req.query) })
+            )
+        );
+        app.get(
+            "/admin/analytics/signups",
+            verifyToken,
+            verifyAdmin,
+            analyticsRoute((range) => getSignups({ usersCollection, range }))
+        );
+
         // GET API endpoint to check if user has already submitted a review
-        app.get("/check-user-review/:email", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        app.get("/check-user-review/:email", verifyToken, verifyUserOrAdmin, verifySelf, async (req, res) => {
             const email = req.params.email;
             if (!email) {
                 return res.status(400).send({ success: false, message: "Email is required" });
             }
             try {
-                const existingReview = await reviewsCollection.findOne({
-                    userEmail: email,
-                    status: "active"
-                });
+                // Hidden and flagged reviews still count, so moderation cannot be bypassed with a new review
+                const existingReview = await reviewsCollection.findOne({ userEmail: email });
                 res.send({
                     success: true,
                     hasReviewed: !!existingReview,
@@ -844,17 +2334,14 @@ async function run() {
         });
 
         // POST API endpoint for submitting a review
-        app.post("/submit-review", verifyToken, verifyUserOrAdmin, async (req, res) => {
+        app.post("/submit-review", verifyToken, limit("reviews"), verifyUserOrAdmin, validateBody(reviewSchema), async (req, res) => {
             const review = req.body;
-            if (!review.rating || !review.comment || !review.userId || !review.userEmail) {
-                return res.status(400).send({ success: false, message: "Rating, comment, userId, and userEmail are required" });
+            if (review.userEmail !== req.user.email) {
+                return res.status(403).send({ success: false, message: "You can only submit a review as yourself" });
             }
             try {
                 // Check if user has already submitted a review
-                const existingReview = await reviewsCollection.findOne({
-                    userEmail: review.userEmail,
-                    status: "active"
-                });
+                const existingReview = await reviewsCollection.findOne({ userEmail: review.userEmail });
                 
                 if (existingReview) {
                     return res.status(409).send({
@@ -864,7 +2351,7 @@ async function run() {
                 }
 
                 review.created_at = new Date().toISOString();
-                review.status = "active"; // Reviews are active by default
+                review.status = PUBLIC_REVIEW_STATUS; // Reviews are active by default
                 const result = await reviewsCollection.insertOne(review);
                 res.send({ success: true, result });
             } catch (error) {
@@ -876,37 +2363,548 @@ async function run() {
             }
         });
 
+        // GET API endpoint for the average rating and the number of reviews for each star
+        app.get("/reviews/summary", async (req, res) => {
+            try {
+                const summary = await getRatingSummary(reviewsCollection);
+                res.send({ success: true, ...summary });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to fetch review summary",
+                    error: error.message,
+                });
+            }
+        });
+
         // GET API endpoint for retrieving all reviews with pagination
         app.get("/reviews", async (req, res) => {
             try {
-                const { page = 1, limit = 10, status = "active" } = req.query;
-                const skip = (parseInt(page) - 1) * parseInt(limit);
-
+                // Hidden and flagged reviews are only listed through /admin/reviews
+                const { status = PUBLIC_REVIEW_STATUS } = req.query;
+                if (status !== PUBLIC_REVIEW_STATUS) {
+                    return res.status(403).send({ success: false, message: "Only active reviews are public" });
+                }
                 const filter = { status };
 
-                const reviews = await reviewsCollection
-                    .find(filter)
+                const result = await paginateCollection({
+                    collection: reviewsCollection,
+                    req,
+                    filter,
+                    sort: newestFirst,
+                    defaultPageSize: 10,
+                });
+
+                res.send({
+                    reviews: result.items,
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                });
+            } catch (error) {
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to fetch reviews",
+                    error: error.message,
+                });
+            }
+        });
+
+        // Only let the author of a review (or, with allowAdmin, an admin) change it; the review is left on req.resource
+        const verifyReviewAuthor =
+            ({ allowAdmin = false } = {}) =>
+            async (req, res, next) => {
+                const id = req.params.id;
+                if (!ObjectId.isValid(id)) {
+                    return res.status(400).send({ success: false, message: "Invalid review ID" });
+                }
+                const review = await reviewsCollection.findOne({ _id: new ObjectId(id) });
+                if (!review) {
+                    return res.status(404).send({ success: false, message: "Review not found" });
+                }
+                if (review.userEmail !== req.user.email && !(allowAdmin && req.user.role === "admin")) {
+                    return res.status(403).send({ success: false, message: "You can only change your own review" });
+                }
+                req.resource = review;
+                next();
+            };
+
+        // PATCH API endpoint for editing the rating or comment of your own review
+        app.patch(
+            "/reviews/:id",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyReviewAuthor(),
+            validateBody(reviewEditSchema, { partial: true }),
+            async (req, res) => {
+                try {
+                    const review = req.resource;
+                    if (review.status === "hidden") {
+                        return res.status(409).send({
+                            success: false,
+                            message: "A hidden review cannot be edited",
+                            reason: review.moderation_reason,
+                        });
+                    }
+                    const now = new Date().toISOString();
+                    await reviewsCollection.updateOne(
+                        { _id: review._id },
+                        { $set: { ...req.body, edited_at: now, last_updated: now } }
+                    );
+                    const updated = await reviewsCollection.findOne({ _id: review._id });
+                    res.send({ success: true, review: updated });
+                } catch (error) {
+                    res.status(500).send({ success: false, message: "Failed to update review", error: error.message });
+                }
+            }
+        );
+
+        // DELETE API endpoint for withdrawing your own review (admins may remove any review)
+        app.delete(
+            "/reviews/:id",
+            verifyToken,
+            verifyUserOrAdmin,
+            verifyReviewAuthor({ allowAdmin: true }),
+            async (req, res) => {
+                try {
+                    const review = req.resource;
+                    // Hidden and flagged reviews keep counting as the author's review, so the author cannot delete
+                    // one and post a fresh review in its place
+                    const moderated = review.status && review.status !== PUBLIC_REVIEW_STATUS;
+                    if (moderated && review.userEmail === req.user.email) {
+                        return res.status(409).send({
+                            success: false,
+                            message: `A ${review.status} review cannot be deleted while it is under moderation`,
+                            reason: review.moderation_reason,
+                        });
+                    }
+                    await reviewsCollection.deleteOne({ _id: review._id });
+                    if (review.userEmail !== req.user.email) {
+                        await recordAudit({
+                            req,
+                            action: "review.admin_delete",
+                            targetType: "review",
+                            targetId: review._id,
+                            before: review,
+                        });
+                    }
+                    res.send({ success: true, message: "Review deleted successfully" });
+                } catch (error) {
+                    res.status(500).send({ success: false, message: "Failed to delete review", error: error.message });
+                }
+            }
+        );
+
+        // GET API endpoint for listing reviews in any moderation status (Admin Only)
+        app.get("/admin/reviews", verifyToken, verifyAdmin, async (req, res) => {
+            try {
+                const { status } = req.query;
+                if (status && !REVIEW_STATUSES.includes(status)) {
+                    return res
+                        .status(400)
+                        .send({ success: false, message: `status must be one of ${REVIEW_STATUSES.join(", ")}` });
+                }
+                const result = await paginateCollection({
+                    collection: reviewsCollection,
+                    req,
+                    filter: status ? { status } : {},
+                    sort: newestFirst,
+                    defaultPageSize: 20,
+                });
+                res.send({
+                    reviews: result.items,
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                });
+            } catch (error) {
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to fetch reviews",
+                    error: error.message,
+                });
+            }
+        });
+
+        // PATCH API endpoint to hide, flag or restore a review with a reason (Admin Only)
+        app.patch(
+            "/admin/reviews/:id/moderate",
+            verifyToken,
+            verifyAdmin,
+            validateBody(reviewModerationSchema),
+            async (req, res) => {
+                const id = req.params.id;
+                if (!ObjectId.isValid(id)) {
+                    return res.status(400).send({ success: false, message: "Invalid review ID" });
+                }
+                try {
+                    const review = await reviewsCollection.findOne({ _id: new ObjectId(id) });
+                    if (!review) {
+                        return res.status(404).send({ success: false, message: "Review not found" });
+                    }
+                    const { action, reason } = req.body;
+                    const result = await moderateReview({ reviewsCollection, review, action, reason, actor: req.user });
+                    if (!result.success) {
+                        return res.status(result.code).send({ success: false, message: result.message });
+                    }
+                    await recordAudit({
+                        req,
+                        action: `review.${action}`,
+                        targetType: "review",
+                        targetId: review._id,
+                        before: { status: review.status, moderation_reason: review.moderation_reason },
+                        after: { status: result.review.status, moderation_reason: result.review.moderation_reason },
+                    });
+                    res.send({ success: true, review: result.review });
+                } catch (error) {
+                    res.status(500).send({
+                        success: false,
+                        message: "Failed to moderate review",
+                        error: error.message,
+                    });
+                }
+            }
+        );
+
+        // GET API endpoint for reported adoption messages (Admin Only)
+        // Query: status (open | resolved, default open)
+        app.get("/admin/message-reports", verifyToken, verifyAdmin, async (req, res) => {
+            try {
+                const status = req.query.status || "open";
+                if (!["open", "resolved"].includes(status)) {
+                    return res.status(400).send({ success: false, message: "status must be one of open, resolved" });
+                }
+                const result = await paginateCollection({
+                    collection: adoptionMessagesCollection,
+                    req,
+                    filter: { report_status: status },
+                    sort: { field: "last_reported_at", direction: -1 },
+                    defaultPageSize: 20,
+                });
+                res.send({
+                    messages: result.items,
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                });
+            } catch (error) {
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to fetch reported messages",
+                    error: error.message,
+                });
+            }
+        });
+
+        // PATCH API endpoint to hide or restore an adoption message, or dismiss its reports (Admin Only)
+        app.patch(
+            "/admin/messages/:id/moderate",
+            verifyToken,
+            verifyAdmin,
+            validateBody(messageModerationSchema),
+            async (req, res) => {
+                const id = req.params.id;
+                if (!ObjectId.isValid(id)) {
+                    return res.status(400).send({ success: false, message: "Invalid message ID" });
+                }
+                try {
+                    const message = await adoptionMessagesCollection.findOne({ _id: new ObjectId(id) });
+                    if (!message) {
+                        return res.status(404).send({ success: false, message: "Message not found" });
+                    }
+                    const { action, reason } = req.body;
+                    const result = await moderateMessage({
+                        messagesCollection: adoptionMessagesCollection,
+                        message,
+                        action,
+                        reason,
+                        actor: req.user,
+                    });
+                    if (!result.success) {
+                        return res.status(result.code).send({ success: false, message: result.message });
+                    }
+                    await recordAudit({
+                        req,
+                        action: `message.${action}`,
+                        targetType: "message",
+                        targetId: message._id,
+                        before: { status: message.status, report_status: message.report_status },
+                        after: {
+                            status: result.adoptionMessage.status,
+                            report_status: result.adoptionMessage.report_status,
+                        },
+                    });
+                    res.send({ success: true, adoptionMessage: result.adoptionMessage });
+                } catch (error) {
+                    res.status(500).send({
+                        success: false,
+                        message: "Failed to moderate message",
+                        error: error.message,
+                    });
+                }
+            }
+        );
+
+        // POST API endpoint to favorite a pet or donation campaign
+        app.post("/favorites", verifyToken, limit("writes"), verifyUserOrAdmin, validateBody(favoriteSchema), async (req, res) => {
+            const { target_type, target_id } = req.body;
+            try {
+                const result = await addFavorite({
+                    favoritesCollection,
+                    collections: { petCollection, donationsCollection },
+                    user: req.user,
+                    targetType: target_type,
+                    targetId: target_id,
+                });
+                if (!result.success) {
+                    return res.status(result.code).send({ success: false, message: result.message });
+                }
+                res.send({ success: true, favorite: result.favorite });
+            } catch (error) {
+                res.status(500).send({ success: false, message: "Failed to add favorite", error: error.message });
+            }
+        });
+
+        // GET API endpoint for the signed-in user's favorites with current availability (?type=pet|campaign)
+        app.get("/favorites", verifyToken, verifyUserOrAdmin, async (req, res) => {
+            const { type } = req.query;
+            if (type && !FAVORITE_TARGETS[type]) {
+                return res.status(400).send({ success: false, message: "type must be pet or campaign" });
+            }
+            try {
+                const filter = { user_email: req.user.email };
+                if (type) filter.target_type = type;
+                const result = await paginateCollection({
+                    collection: favoritesCollection,
+                    req,
+                    filter,
+                    sort: newestFirst,
+                    defaultPageSize: 20,
+                });
+                const favorites = await withAvailability({
+                    favorites: result.items,
+                    collections: { petCollection, donationsCollection },
+                });
+                res.send({
+                    favorites,
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                });
+            } catch (error) {
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to fetch favorites",
+                    error: error.message,
+                });
+            }
+        });
+
+        // DELETE API endpoint to unfavorite a pet or donation campaign
+        app.delete("/favorites/:type/:id", verifyToken, verifyUserOrAdmin, async (req, res) => {
+            const { type, id } = req.params;
+            if (!FAVORITE_TARGETS[type] || !ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid favorite" });
+            }
+            try {
+                const result = await favoritesCollection.deleteOne({
+                    user_email: req.user.email,
+                    target_type: type,
+                    target_id: new ObjectId(id),
+                });
+                if (result.deletedCount === 0) {
+                    return res.status(404).send({ success: false, message: "Favorite not found" });
+                }
+                res.send({ success: true, message: "Favorite removed successfully" });
+            } catch (error) {
+                res.status(500).send({ success: false, message: "Failed to remove favorite", error: error.message });
+            }
+        });
+
+        // POST API endpoint to save /all-pets search criteria under a name
+        app.post(
+            "/saved-searches",
+            verifyToken,
+            limit("writes"),
+            verifyUserOrAdmin,
+            validateBody(savedSearchSchema),
+            async (req, res) => {
+                try {
+                    const now = new Date().toISOString();
+                    const savedSearch = {
+                        user_email: req.user.email,
+                        name: req.body.name,
+                        criteria: pickCriteria(req.body),
+                        // Only pets added from now on count as new
+                        last_checked_at: now,
+                        created_at: now,
+                    };
+                    const result = await savedSearchesCollection.insertOne(savedSearch);
+                    res.send({ success: true, savedSearch: { _id: result.insertedId, ...savedSearch } });
+                } catch (error) {
+                    res.status(500).send({ success: false, message: "Failed to save search", error: error.message });
+                }
+            }
+        );
+
+        // GET API endpoint for the signed-in user's saved searches
+        app.get("/saved-searches", verifyToken, verifyUserOrAdmin, async (req, res) => {
+            try {
+                const result = await savedSearchesCollection
+                    .find({ user_email: req.user.email })
                     .sort({ created_at: -1 })
-                    .skip(skip)
-                    .limit(parseInt(limit))
                     .toArray();
+                res.send(result);
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to fetch saved searches",
+                    error: error.message,
+                });
+            }
+        });
 
-                const total = await reviewsCollection.countDocuments(filter);
+        // GET API endpoint for the pets matching a saved search that were added since it was last checked
+        app.get("/saved-searches/:id/new-pets", verifyToken, verifyUserOrAdmin, async (req, res) => {
+            const id = req.params.id;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid saved search ID" });
+            }
+            try {
+                const savedSearch = await savedSearchesCollection.findOne({
+                    _id: new ObjectId(id),
+                    user_email: req.user.email,
+                });
+                if (!savedSearch) {
+                    return res.status(404).send({ success: false, message: "Saved search not found" });
+                }
+                const result = await checkSavedSearch({ savedSearchesCollection, petCollection, savedSearch });
+                res.send({ success: true, ...result });
+            } catch (error) {
+                res.status(500).send({ success: false, message: "Failed to check saved search", error: error.message });
+            }
+        });
+
+        // DELETE API endpoint to remove a saved search
+        app.delete("/saved-searches/:id", verifyToken, verifyUserOrAdmin, async (req, res) => {
+            const id = req.params.id;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid saved search ID" });
+            }
+            try {
+                const result = await savedSearchesCollection.deleteOne({
+                    _id: new ObjectId(id),
+                    user_email: req.user.email,
+                });
+                if (result.deletedCount === 0) {
+                    return res.status(404).send({ success: false, message: "Saved search not found" });
+                }
+                res.send({ success: true, message: "Saved search deleted successfully" });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to delete saved search",
+                    error: error.message,
+                });
+            }
+        });
 
+        // GET API endpoint for the signed-in user's notifications, newest first, with the unread count
+        app.get("/notifications", verifyToken, verifyUserOrAdmin, async (req, res) => {
+            try {
+                const filter = { recipient: req.user.email };
+                if (req.query.unread === "true") filter.read = false;
+                const result = await paginateCollection({
+                    collection: notificationsCollection,
+                    req,
+                    filter,
+                    sort: newestFirst,
+                    defaultPageSize: 20,
+                });
+                const unread = await notificationsCollection.countDocuments({ recipient: req.user.email, read: false });
                 res.send({
-                    reviews,
-                    pagination: {
-                        currentPage: parseInt(page),
-                        totalPages: Math.ceil(total / parseInt(limit)),
-                        totalReviews: total,
-                        hasNextPage: skip + parseInt(limit) < total,
-                        hasPrevPage: parseInt(page) > 1,
-                    },
+                    notifications: result.items,
+                    nextId: result.nextId,
+                    previousId: result.previousId,
+                    total: result.total,
+                    unread,
                 });
+            } catch (error) {
+                res.status(error.status || 500).send({
+                    success: false,
+                    message: "Failed to fetch notifications",
+                    error: error.message,
+                });
+            }
+        });
+
+        // PATCH API endpoint to mark all of the signed-in user's notifications as read
+        app.patch("/notifications/read-all", verifyToken, verifyUserOrAdmin, async (req, res) => {
+            try {
+                const result = await notificationsCollection.updateMany(
+                    { recipient: req.user.email, read: false },
+                    { $set: { read: true, read_at: new Date().toISOString() } }
+                );
+                res.send({ success: true, modifiedCount: result.modifiedCount });
             } catch (error) {
                 res.status(500).send({
                     success: false,
-                    message: "Failed to fetch reviews",
+                    message: "Failed to mark notifications as read",
+                    error: error.message,
+                });
+            }
+        });
+
+        // GET API endpoint for the signed-in user's notification preferences (every type is on by default)
+        app.get("/notifications/preferences", verifyToken, verifyUserOrAdmin, async (req, res) => {
+            res.send({ success: true, preferences: getPreferences(req.dbUser), types: NOTIFICATION_TYPES });
+        });
+
+        // PATCH API endpoint to switch notification types on or off
+        app.patch(
+            "/notifications/preferences",
+            verifyToken,
+            verifyUserOrAdmin,
+            validateBody(notificationPreferencesSchema, { partial: true }),
+            async (req, res) => {
+                try {
+                    const update = Object.fromEntries(
+                        Object.entries(req.body).map(([type, enabled]) => [`notification_preferences.${type}`, enabled])
+                    );
+                    await usersCollection.updateOne({ _id: req.dbUser._id }, { $set: update });
+                    const user = await usersCollection.findOne({ _id: req.dbUser._id });
+                    res.send({ success: true, preferences: getPreferences(user) });
+                } catch (error) {
+                    res.status(500).send({
+                        success: false,
+                        message: "Failed to update notification preferences",
+                        error: error.message,
+                    });
+                }
+            }
+        );
+
+        // PATCH API endpoint to mark one notification as read
+        app.patch("/notifications/:id/read", verifyToken, verifyUserOrAdmin, async (req, res) => {
+            const id = req.params.id;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ success: false, message: "Invalid notification ID" });
+            }
+            try {
+                // Matching on recipient keeps users away from other people's notifications
+                const result = await notificationsCollection.findOneAndUpdate(
+                    { _id: new ObjectId(id), recipient: req.user.email },
+                    { $set: { read: true, read_at: new Date().toISOString() } },
+                    { returnDocument: "after" }
+                );
+                if (!result) {
+                    return res.status(404).send({ success: false, message: "Notification not found" });
+                }
+                res.send({ success: true, notification: result });
+            } catch (error) {
+                res.status(500).send({
+                    success: false,
+                    message: "Failed to mark notification as read",
                     error: error.message,
                 });
             }
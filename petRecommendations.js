@@ -1,165 +1,355 @@
-const express = require("express");
-const router = express.Router();
 const { ObjectId } = require("mongodb");
+const { parseGeoQuery, withinRadius, distanceExpression } = require("./utils/geo__location.js");
 
-// GET /api/pet-recommendations
-const getPetRecommendations = (petCollection) => async (req, res) => {
-    try {
-        const { categories, district, limit = 12 } = req.query;
-
-        // Convert categories to array if it's a single value
-        const categoryArray = Array.isArray(categories) ? categories : [categories];
-
-        // Build MongoDB query
-        const query = {
-            // Filter by pet categories
-            category: { $in: categoryArray },
-
-            // Filter by location/district (using location field with text search)
-            location: { $regex: district, $options: "i" },
-
-            // Only show available pets (not adopted)
-            adopted: false,
-        };
-
-        // Fetch pets from database with user information
-        const recommendations = await petCollection
-            .aggregate([
-                { $match: query },
-                {
-                    $lookup: {
-                        from: "users",
-                        localField: "added_by",
-                        foreignField: "_id",
-                        as: "added_by",
-                    },
-                },
-                {
-                    $unwind: {
-                        path: "$added_by",
-                        preserveNullAndEmptyArrays: true,
-                    },
-                },
-                {
-                    $project: {
-                        "added_by.password": 0,
-                        "added_by.email": 0,
-                    },
-                },
-                { $sort: { created_at: -1 } },
-                { $limit: parseInt(limit) },
-            ])
-            .toArray();
+// Personalized pet recommendations. A preference profile is learned from what the user did: adoption
+// requests weigh most, then favorites, then pet views, and older activity counts for less. Available pets
+// are scored against the profile on category, age, size, location and how recently they were listed.
+// The categories / district query params still work and are treated as stated preferences, and
+// ?lat=&lng= (or ?near=) with ?radius_km= keeps the suggestions within reach, nearest first.
 
-        res.status(200).json(recommendations);
-    } catch (error) {
-        console.error("Error fetching pet recommendations:", error);
-        res.status(500).json({
-            error: "Failed to fetch recommendations",
-            message: error.message,
-        });
-    }
+// How much each kind of activity says about a user's taste
+const SIGNAL_WEIGHTS = { adoption_request: 3, favorite: 2, view: 1 };
+// Activity loses half its weight every SIGNAL_HALF_LIFE_DAYS, listings every LISTING_HALF_LIFE_DAYS
+const SIGNAL_HALF_LIFE_DAYS = 60;
+const LISTING_HALF_LIFE_DAYS = 30;
+// Points a pet can get for each part of the score
+const SCORE_WEIGHTS = { category: 4, location: 3, age: 2, size: 1.5, recency: 1.5 };
+// Pets further than this many years from the preferred age get no age points
+const AGE_TOLERANCE_YEARS = 3;
+const MAX_LIMIT = 50;
+
+const decay = (date, halfLifeDays) => {
+    const days = date ? (Date.now() - new Date(date).getTime()) / 86400000 : 0;
+    return 0.5 ** (Math.max(0, days || 0) / halfLifeDays);
 };
 
-// Advanced recommendation with scoring
-const getAdvancedPetRecommendations = (petCollection) => async (req, res) => {
-    try {
-        const { categories, district, limit = 12 } = req.query;
-
-        const categoryArray = Array.isArray(categories) ? categories : [categories];
-
-        // Use MongoDB aggregation for more complex matching
-        const recommendations = await petCollection
-            .aggregate([
-                // Basic filtering
-                {
-                    $match: {
-                        category: { $in: categoryArray },
-                        adopted: false,
-                        $or: [
-                            { location: { $regex: district, $options: "i" } },
-                            { location: { $exists: false } }, // Include pets without location
-                        ],
-                    },
-                },
+// "Mirpur, Dhaka" -> ["mirpur", "dhaka"]
+const locationTokens = (location) =>
+    String(location || "")
+        .toLowerCase()
+        .split(",")
+        .map((token) => token.trim())
+        .filter(Boolean);
 
-                //Lookup user information
-                {
-                    $lookup: {
-                        from: "users",
-                        localField: "added_by",
-                        foreignField: "_id",
-                        as: "added_by",
-                    },
-                },
-                {
-                    $unwind: {
-                        path: "$added_by",
-                        preserveNullAndEmptyArrays: true,
-                    },
-                },
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
-                // Add scoring fields
-                {
-                    $addFields: {
-                        // Score based on location match
-                        locationScore: {
-                            $cond: [
-                                { $regexMatch: { input: "$location", regex: district, options: "i" } },
-                                10, // Text match gets 10 points
-                                5, // No location or different location gets 5 points
-                            ],
-                        },
+// Scale weights so the strongest preference of each kind is 1
+const normalize = (weights) => {
+    const max = Math.max(0, ...Object.values(weights));
+    return max
+        ? Object.fromEntries(
+              Object.entries(weights).map(([key, weight]) => [key, Math.round((weight / max) * 100) / 100])
+          )
+        : {};
+};
+
+const asArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// Build a user's preference profile from their adoption requests, favorites and viewed pets
+const buildPreferenceProfile = async ({
+    petCollection,
+    adoptRequestsCollection,
+    favoritesCollection,
+    petViewsCollection,
+    email,
+    query = {},
+}) => {
+    const [requests, favorites, views] = await Promise.all([
+        adoptRequestsCollection.find({ user_email: email }, { projection: { pet_id: 1, requested_at: 1 } }).toArray(),
+        favoritesCollection
+            .find({ user_email: email, target_type: "pet" }, { projection: { target_id: 1, created_at: 1 } })
+            .toArray(),
+        petViewsCollection
+            .find({ user_email: email }, { projection: { pet_id: 1, views: 1, last_viewed_at: 1 } })
+            .sort({ last_viewed_at: -1 })
+            .limit(200)
+            .toArray(),
+    ]);
+
+    // pet id -> combined weight of everything the user did with that pet
+    const signals = new Map();
+    const addSignal = (petId, weight) => {
+        if (!petId || !ObjectId.isValid(petId.toString())) return;
+        const key = petId.toString();
+        signals.set(key, (signals.get(key) || 0) + weight);
+    };
+    for (const item of requests) {
+        addSignal(item.pet_id, SIGNAL_WEIGHTS.adoption_request * decay(item.requested_at, SIGNAL_HALF_LIFE_DAYS));
+    }
+    for (const item of favorites) {
+        addSignal(item.target_id, SIGNAL_WEIGHTS.favorite * decay(item.created_at, SIGNAL_HALF_LIFE_DAYS));
+    }
+    for (const item of views) {
+        // Coming back to a pet a few times means more than a single look, up to a point
+        const repeat = Math.min(item.views || 1, 3);
+        addSignal(item.pet_id, SIGNAL_WEIGHTS.view * repeat * decay(item.last_viewed_at, SIGNAL_HALF_LIFE_DAYS));
+    }
+
+    // Adopted and deleted pets still tell us what the user liked
+    const pets = signals.size
+        ? await petCollection
+              .find(
+                  { _id: { $in: [...signals.keys()].map((id) => new ObjectId(id)) } },
+                  { projection: { category: 1, pet_age: 1, size: 1, location: 1 } }
+              )
+              .toArray()
+        : [];
+
+    const categories = {};
+    const sizes = {};
+    const locations = {};
+    let ageWeight = 0;
+    let ageTotal = 0;
+    for (const pet of pets) {
+        const weight = signals.get(pet._id.toString());
+        if (pet.category) categories[pet.category] = (categories[pet.category] || 0) + weight;
+        if (pet.size) sizes[pet.size] = (sizes[pet.size] || 0) + weight;
+        for (const token of locationTokens(pet.location)) locations[token] = (locations[token] || 0) + weight;
+        if (typeof pet.pet_age === "number") {
+            ageWeight += weight;
+            ageTotal += pet.pet_age * weight;
+        }
+    }
+
+    // Stated preferences count as much as the strongest learned one
+    const statedWeight = Math.max(1, ...Object.values(categories), ...Object.values(locations));
+    for (const category of asArray(query.categories).filter(Boolean)) categories[category] = statedWeight;
+    for (const token of locationTokens(query.district)) locations[token] = statedWeight;
+
+    return {
+        categories: normalize(categories),
+        sizes: normalize(sizes),
+        locations: normalize(locations),
+        age: ageWeight ? Math.round((ageTotal / ageWeight) * 10) / 10 : null,
+        signals: { adoption_requests: requests.length, favorites: favorites.length, views: views.length },
+        // Pets the user already asked to adopt or favorited are not recommended again
+        excludeIds: [...requests.map((item) => item.pet_id), ...favorites.map((item) => item.target_id)]
+            .filter((id) => id && ObjectId.isValid(id.toString()))
+            .map((id) => new ObjectId(id.toString())),
+    };
+};
 
-                        // Score based on how recent the listing is
-                        freshnessScore: {
-                            $subtract: [
-                                10,
+// Value of `field` in a { value: weight } map, as an aggregation expression
+const weightOf = (field, weights) => {
+    const entries = Object.entries(weights);
+    if (!entries.length) return 0;
+    return {
+        $switch: {
+            branches: entries.map(([value, weight]) => ({ case: { $eq: [field, value] }, then: weight })),
+            default: 0,
+        },
+    };
+};
+
+// Score parts between 0 and 1 for each pet, as aggregation expressions
+const scoreExpressions = (profile) => {
+    const tokens = Object.entries(profile.locations);
+    return {
+        category: weightOf("$category", profile.categories),
+        size: weightOf("$size", profile.sizes),
+        location: tokens.length
+            ? {
+                  $max: tokens.map(([token, weight]) => ({
+                      $cond: [
+                          {
+                              $regexMatch: {
+                                  input: { $ifNull: ["$location", ""] },
+                                  regex: escapeRegex(token),
+                                  options: "i",
+                              },
+                          },
+                          weight,
+                          0,
+                      ],
+                  })),
+              }
+            : 0,
+        age:
+            profile.age === null
+                ? 0
+                : {
+                      $max: [
+                          0,
+                          {
+                              $subtract: [
+                                  1,
+                                  {
+                                      $divide: [
+                                          { $abs: { $subtract: [{ $ifNull: ["$pet_age", 1000] }, profile.age] } },
+                                          AGE_TOLERANCE_YEARS,
+                                      ],
+                                  },
+                              ],
+                          },
+                      ],
+                  },
+        // created_at is stored as an ISO string, so it has to become a date before any arithmetic. A missing or
+        // malformed one scores 0 rather than counting as brand new (or failing the whole aggregation).
+        recency: {
+            $let: {
+                vars: {
+                    createdAt: { $convert: { input: "$created_at", to: "date", onError: null, onNull: null } },
+                },
+                in: {
+                    $cond: [
+                        { $eq: ["$$createdAt", null] },
+                        0,
+                        {
+                            $pow: [
+                                0.5,
                                 {
                                     $divide: [
-                                        { $subtract: [new Date(), "$created_at"] },
-                                        86400000, // Convert to days
+                                        {
+                                            $max: [
+                                                0,
+                                                {
+                                                    $dateDiff: {
+                                                        startDate: "$$createdAt",
+                                                        endDate: "$$NOW",
+                                                        unit: "hour",
+                                                    },
+                                                },
+                                            ],
+                                        },
+                                        LISTING_HALF_LIFE_DAYS * 24,
                                     ],
                                 },
                             ],
                         },
-                    },
+                    ],
                 },
+            },
+        },
+    };
+};
+
+// Human-readable reasons from a pet's score parts
+const explain = (pet, profile) => {
+    const parts = pet.score_breakdown;
+    const reasons = [];
+    if (parts.category >= SCORE_WEIGHTS.category / 2) reasons.push(`You have shown interest in ${pet.category} pets`);
+    if (parts.location >= SCORE_WEIGHTS.location / 2) reasons.push(`Located in ${pet.location}, an area you looked at`);
+    if (parts.age >= SCORE_WEIGHTS.age / 2) {
+        const years = `${pet.pet_age} ${pet.pet_age === 1 ? "year" : "years"}`;
+        reasons.push(`${years} old, close to the age of pets you liked (about ${profile.age})`);
+    }
+    if (parts.size >= SCORE_WEIGHTS.size / 2) reasons.push(`A ${pet.size} pet, like ones you were interested in`);
+    if (parts.recency >= SCORE_WEIGHTS.recency / 2) reasons.push("Recently listed");
+    if (pet.distance_km !== undefined) reasons.push(`${pet.distance_km} km from you`);
+    if (!reasons.length) reasons.push("Available for adoption now");
+    return reasons;
+};
+
+// Score every available pet against the profile and return the best ones with their owner and reasons.
+// With a geo point only pets within the radius count, and the best ones are then ordered by distance.
+const recommendPets = async ({ petCollection, profile, limit, geo = null }) => {
+    const parts = scoreExpressions(profile);
+    const weighted = Object.fromEntries(
+        Object.entries(parts).map(([name, expression]) => [
+            name,
+            { $round: [{ $multiply: [expression, SCORE_WEIGHTS[name]] }, 2] },
+        ])
+    );
 
-                // Stage 4: Calculate total score
-                {
-                    $addFields: {
-                        totalScore: { $add: ["$locationScore", "$freshnessScore"] },
+    const pets = await petCollection
+        .aggregate([
+            { $match: { adopted: false, deleted_at: null, _id: { $nin: profile.excludeIds }, ...withinRadius(geo) } },
+            { $addFields: { score_breakdown: weighted } },
+            {
+                $addFields: {
+                    score: {
+                        $round: [{ $add: Object.keys(weighted).map((name) => `$score_breakdown.${name}`) }, 2],
                     },
                 },
+            },
+            { $sort: { score: -1, created_at: -1, _id: 1 } },
+            { $limit: limit },
+            ...(geo
+                ? [{ $addFields: { distance_km: distanceExpression(geo) } }, { $sort: { distance_km: 1, score: -1 } }]
+                : []),
+            // added_by is an embedded { name, email, profilepic }; join on its email to show the owner's
+            // current name and photo (never their email)
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "added_by.email",
+                    foreignField: "email",
+                    pipeline: [{ $project: { _id: 0, name: 1, profilepic: 1 } }],
+                    as: "owner",
+                },
+            },
+            {
+                $addFields: {
+                    added_by: {
+                        name: { $ifNull: [{ $first: "$owner.name" }, "$added_by.name"] },
+                        profilepic: { $ifNull: [{ $first: "$owner.profilepic" }, "$added_by.profilepic"] },
+                    },
+                },
+            },
+            { $project: { owner: 0 } },
+        ])
+        .toArray();
 
-                // Sort by score
-                { $sort: { totalScore: -1, created_at: -1 } },
+    return pets.map((pet) => ({ ...pet, reasons: explain(pet, profile) }));
+};
 
-                // Limit results
-                { $limit: parseInt(limit) },
+const createRecommendationHandler =
+    ({ collections, detailed }) =>
+    async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 12, 1), MAX_LIMIT);
+            const geo = await parseGeoQuery(req.query);
+            const profile = await buildPreferenceProfile({ ...collections, email: req.user.email, query: req.query });
+            const pets = await recommendPets({ petCollection: collections.petCollection, profile, limit, geo });
 
-                // Clean up the output
-                {
-                    $project: {
-                        locationScore: 0,
-                        freshnessScore: 0,
-                        totalScore: 0,
-                        "added_by.password": 0,
-                        "added_by.email": 0,
-                    },
-                },
-            ])
-            .toArray();
+            res.status(200).json(detailed ? pets : pets.map(({ score, score_breakdown, ...pet }) => pet));
+        } catch (error) {
+            console.error("Error fetching pet recommendations:", error);
+            res.status(error.status || 500).json({
+                error: "Failed to fetch recommendations",
+                message: error.message,
+            });
+        }
+    };
+
+// GET /pet-recommendations: recommended pets, each with the reasons it was suggested
+const getPetRecommendations = (collections) => createRecommendationHandler({ collections, detailed: false });
 
-        res.status(200).json(recommendations);
+// GET /pet-recommendations/advanced: the same, plus each pet's score and its breakdown
+const getAdvancedPetRecommendations = (collections) => createRecommendationHandler({ collections, detailed: true });
+
+// GET /pet-recommendations/profile: what the recommendations were learned from
+const getPreferenceProfile = (collections) => async (req, res) => {
+    try {
+        const { excludeIds, ...profile } = await buildPreferenceProfile({ ...collections, email: req.user.email });
+        res.status(200).json(profile);
     } catch (error) {
-        console.error("Error fetching advanced pet recommendations:", error);
+        console.error("Error building preference profile:", error);
         res.status(500).json({
-            error: "Failed to fetch recommendations",
+            error: "Failed to build preference profile",
             message: error.message,
         });
     }
 };
 
-module.exports = { getPetRecommendations, getAdvancedPetRecommendations };
+// Remember that a signed-in user looked at a pet; repeated views only bump the counter
+const recordPetView = async ({ petViewsCollection, email, petId }) => {
+    const now = new Date().toISOString();
+    await petViewsCollection.updateOne(
+        { user_email: email, pet_id: petId },
+        {
+            $inc: { views: 1 },
+            $set: { last_viewed_at: now },
+            $setOnInsert: { first_viewed_at: now },
+        },
+        { upsert: true }
+    );
+};
+
+module.exports = {
+    buildPreferenceProfile,
+    getPetRecommendations,
+    getAdvancedPetRecommendations,
+    getPreferenceProfile,
+    recordPetView,
+};
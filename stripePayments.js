@@ -0,0 +1,411 @@
+const { ObjectId } = require("mongodb");
+const recomputeCampaignTotal = require("./utils/donation__totals.js");
+const { getCampaignGoal } = require("./utils/campaign__status.js");
+const { noopNotify } = require("./utils/notification__center.js");
+const { assignReceiptNumber } = require("./utils/donation__receipts.js");
+const { normalizeCurrency, fromMinorUnits, toMinorUnits, formatMoney } = require("./utils/currency__units.js");
+
+// Payment intents a donor created but has not paid yet. Each one is tracked in paymentIntentsCollection, and
+// holds one of the donor's slots in their counter document ({ _id: "payment_intents:<email>", slots }) so a
+// script cannot create unlimited intents; a slot frees up once its intent is paid, canceled or older than the window.
+const OUTSTANDING_INTENT_MINUTES = 60;
+const getOutstandingIntentLimit = () => Number(process.env.MAX_OUTSTANDING_PAYMENT_INTENTS) || 3;
+
+const intentSlotsId = (email) => `payment_intents:${email}`;
+
+// Take a slot before calling Stripe. Dropping expired slots and adding the new one happen in a single update,
+// so parallel requests can never hold more slots than the limit.
+// Resolves to { allowed: true, slotId } or { allowed: false, retryAfter } (seconds until the oldest slot frees up).
+const reserveIntentSlot = async ({ countersCollection, email }) => {
+    const now = new Date();
+    const slotId = new ObjectId();
+    const windowMs = OUTSTANDING_INTENT_MINUTES * 60000;
+    const live = {
+        $filter: {
+            input: { $ifNull: ["$slots", []] },
+            cond: { $gt: ["$$this.created_at", new Date(now.getTime() - windowMs)] },
+        },
+    };
+    const counter = await countersCollection.findOneAndUpdate(
+        { _id: intentSlotsId(email) },
+        [
+            {
+                $set: {
+                    slots: {
+                        $let: {
+                            vars: { live },
+                            in: {
+                                $cond: [
+                                    { $lt: [{ $size: "$$live" }, getOutstandingIntentLimit()] },
+                                    { $concatArrays: ["$$live", [{ slot_id: slotId, created_at: now }]] },
+                                    "$$live",
+                                ],
+                            },
+                        },
+                    },
+                },
+            },
+        ],
+        { upsert: true, returnDocument: "after" }
+    );
+    if (counter.slots.some((slot) => slot.slot_id.equals(slotId))) return { allowed: true, slotId };
+    const oldest = Math.min(...counter.slots.map((slot) => slot.created_at.getTime()));
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil((oldest + windowMs - Date.now()) / 1000)) };
+};
+
+// Give a slot back, e.g. when Stripe refused to create the intent
+const releaseIntentSlot = ({ countersCollection, email, slotId }) =>
+    countersCollection.updateOne({ _id: intentSlotsId(email) }, { $pull: { slots: { slot_id: slotId } } });
+
+// Record the intent and tie it to its slot, so paying or canceling it frees the slot
+const trackPaymentIntent = async ({ paymentIntentsCollection, countersCollection, paymentIntent, email, slotId }) => {
+    await paymentIntentsCollection.insertOne({
+        payment_intent_id: paymentIntent.id,
+        donor_email: email,
+        campaign_id: paymentIntent.metadata?.campaign_id || null,
+        amount_minor: paymentIntent.amount,
+        currency: paymentIntent.currency,
+        status: "open",
+        created_at: new Date().toISOString(),
+    });
+    await countersCollection.updateOne(
+        { _id: intentSlotsId(email), "slots.slot_id": slotId },
+        { $set: { "slots.$.payment_intent_id": paymentIntent.id } }
+    );
+};
+
+const closePaymentIntent = async ({ paymentIntentsCollection, countersCollection, paymentIntent, status }) => {
+    if (!paymentIntentsCollection) return;
+    await paymentIntentsCollection.updateOne(
+        { payment_intent_id: paymentIntent.id, status: "open" },
+        { $set: { status, closed_at: new Date().toISOString() } }
+    );
+    const email = paymentIntent.metadata?.donor_email;
+    if (countersCollection && email) {
+        await countersCollection.updateOne(
+            { _id: intentSlotsId(email) },
+            { $pull: { slots: { payment_intent_id: paymentIntent.id } } }
+        );
+    }
+};
+
+// Store the outcome of a payment intent in recievedDonationCollection.
+// Donations are keyed by payment_intent_id, so replaying the same event never records a gift twice.
+// onCampaignFunded(campaignId) runs whenever a succeeded payment leaves the campaign at its goal.
+const recordPaymentIntent =
+    ({
+        donationsCollection,
+        recievedDonationCollection,
+        usersCollection,
+        countersCollection,
+        paymentIntentsCollection,
+        notify = noopNotify,
+        onCampaignFunded,
+    }) =>
+    async (paymentIntent, paymentStatus) => {
+        const { campaign_id, donor_email, donor_name } = paymentIntent.metadata || {};
+        if (!campaign_id || !ObjectId.isValid(campaign_id)) {
+            return { recorded: false, reason: "Payment intent is not linked to a donation campaign" };
+        }
+
+        const campaignId = new ObjectId(campaign_id);
+        const campaign = await donationsCollection.findOne({ _id: campaignId });
+        const donor = donor_email ? await usersCollection.findOne({ email: donor_email }) : null;
+        const now = new Date().toISOString();
+        // Stripe reports amounts in minor units of the payment's currency
+        const currency = normalizeCurrency(paymentIntent.currency);
+        const amountMinor = paymentIntent.amount_received || paymentIntent.amount;
+
+        const filter = { payment_intent_id: paymentIntent.id };
+        const previous = await recievedDonationCollection.findOne(filter, { projection: { payment_status: 1 } });
+        const update = {
+            $set: {
+                payment_status: paymentStatus,
+                amount_minor: amountMinor,
+                amount_donated: fromMinorUnits(amountMinor, currency),
+                currency,
+                last_updated: now,
+            },
+            $setOnInsert: {
+                campaign_id: campaignId,
+                user_name: donor?.name || donor_name || null,
+                profilepic: donor?.profilepic || null,
+                pet_name: campaign?.pet_name,
+                pet_image: campaign?.pet_image,
+                donated_at: now,
+            },
+        };
+
+        // The donor may only become known after checkout, when the signed-in user confirms the payment
+        if (donor_email) update.$set.email = donor_email;
+        else update.$setOnInsert.email = null;
+
+        if (paymentStatus === "failed") {
+            update.$set.failure_message = paymentIntent.last_payment_error?.message || null;
+            // A late failure event must never downgrade a payment that already succeeded
+            filter.payment_status = { $ne: "succeeded" };
+        }
+
+        try {
+            await recievedDonationCollection.updateOne(filter, update, { upsert: true });
+        } catch (error) {
+            // Duplicate key: the donation already succeeded, so the failure event is stale
+            if (error.code !== 11000) throw error;
+        }
+
+        // A failed intent can still be retried, so only a successful payment stops it from counting
+        if (paymentStatus === "succeeded") {
+            await closePaymentIntent({
+                paymentIntentsCollection,
+                countersCollection,
+                paymentIntent,
+                status: "succeeded",
+            });
+        }
+
+        // Every succeeded donation gets a sequential receipt number
+        if (paymentStatus === "succeeded" && countersCollection) {
+            await assignReceiptNumber({
+                recievedDonationCollection,
+                countersCollection,
+                filter: { payment_intent_id: paymentIntent.id },
+            });
+        }
+
+        const totalDonations = await recomputeCampaignTotal({
+            donationsCollection,
+            recievedDonationCollection,
+            campaignId,
+        });
+
+        const owner = campaign?.added_by?.email;
+        const donated = formatMoney(update.$set.amount_donated, currency);
+        const goal = getCampaignGoal(campaign);
+        // Only the first time a payment succeeds; replayed events stay quiet
+        if (paymentStatus === "succeeded" && previous?.payment_status !== "succeeded") {
+            await notify({
+                recipient: owner,
+                type: "donation_received",
+                title: `New donation for ${campaign?.pet_name}`,
+                message: `${donor?.name || donor_name || "Someone"} donated ${donated}`,
+                link: `/donation-detail/${campaign_id}`,
+                data: { campaign_id, amount: update.$set.amount_donated, currency },
+                actor: donor_email,
+            });
+            if (goal && totalDonations >= goal && !campaign.closed_at) {
+                await notify({
+                    recipient: owner,
+                    type: "campaign_funded",
+                    title: `${campaign.pet_name} is fully funded`,
+                    message: `Your campaign reached its goal of ${formatMoney(goal, campaign.currency)}`,
+                    link: `/donation-detail/${campaign_id}`,
+                    data: { campaign_id, total_donations: totalDonations },
+                });
+            }
+        }
+        // Checked on replays too, so pledges still stop if an earlier attempt failed halfway
+        if (paymentStatus === "succeeded" && goal && totalDonations >= goal && onCampaignFunded) {
+            await onCampaignFunded(campaignId);
+        }
+        return { recorded: true, total_donations: totalDonations };
+    };
+
+// Map a Stripe refund status onto the refund_status we store (requested / succeeded / failed)
+const toRefundStatus = (stripeStatus) => {
+    if (stripeStatus === "succeeded") return "succeeded";
+    if (stripeStatus === "failed" || stripeStatus === "canceled") return "failed";
+    return "requested";
+};
+
+// Write one refund's status onto its donation and refresh the donation's refund summary and campaign total
+const applyRefundUpdate =
+    ({ donationsCollection, recievedDonationCollection, notify = noopNotify }) =>
+    async (donationId, refund) => {
+        const now = new Date().toISOString();
+        const refundStatus = toRefundStatus(refund.status);
+        const before = await recievedDonationCollection.findOne({ _id: donationId }, { projection: { refunds: 1 } });
+        const previousStatus = before?.refunds?.find((item) => item.refund_id === refund.id)?.status;
+
+        await recievedDonationCollection.updateOne(
+            { _id: donationId, "refunds.refund_id": refund.id },
+            { $set: { "refunds.$.status": refundStatus, "refunds.$.updated_at": now } }
+        );
+
+        const donation = await recievedDonationCollection.findOne({ _id: donationId });
+        if (!donation) return null;
+
+        // Only refunds Stripe has confirmed come off the donated amount
+        const refundedMinor = (donation.refunds || [])
+            .filter((item) => item.status === "succeeded")
+            .reduce((sum, item) => sum + (item.amount_minor ?? toMinorUnits(item.amount, donation.currency)), 0);
+        const amountRefunded = fromMinorUnits(refundedMinor, donation.currency);
+
+        await recievedDonationCollection.updateOne(
+            { _id: donationId },
+            {
+                $set: {
+                    refund_status: refundStatus,
+                    refund_updated_at: now,
+                    amount_refunded: amountRefunded,
+                    amount_refunded_minor: refundedMinor,
+                    last_updated: now,
+                },
+            }
+        );
+
+        const totalDonations = await recomputeCampaignTotal({
+            donationsCollection,
+            recievedDonationCollection,
+            campaignId: donation.campaign_id,
+        });
+
+        // Let the donor know once Stripe has settled the refund either way
+        if (refundStatus !== "requested" && refundStatus !== previousStatus) {
+            const amount = donation.refunds?.find((item) => item.refund_id === refund.id)?.amount;
+            const refunded = `${formatMoney(amount, donation.currency)} for ${donation.pet_name}`;
+            await notify({
+                recipient: donation.email,
+                type: "refund_processed",
+                title: refundStatus === "succeeded" ? "Refund processed" : "Refund failed",
+                message:
+                    refundStatus === "succeeded"
+                        ? `Your refund of ${refunded} has been processed`
+                        : `Your refund of ${refunded} could not be processed`,
+                link: "/dashboard/my-donations",
+                data: { donation_id: donationId.toString(), amount, refund_status: refundStatus },
+            });
+        }
+        return { refund_status: refundStatus, amount_refunded: amountRefunded, total_donations: totalDonations };
+    };
+
+// Issue a (full or partial) Stripe refund for a recorded donation; amountMinor is in the donation currency's minor units
+const refundDonation = ({ stripe, donationsCollection, recievedDonationCollection, notify }) => {
+    const applyUpdate = applyRefundUpdate({ donationsCollection, recievedDonationCollection, notify });
+
+    return async (donation, amountMinor) => {
+        const amount = fromMinorUnits(amountMinor, donation.currency);
+        const now = new Date().toISOString();
+        const requestId = new ObjectId().toString();
+
+        // Record the request first so a crash between Stripe and MongoDB still leaves a trace
+        await recievedDonationCollection.updateOne(
+            { _id: donation._id },
+            {
+                $push: {
+                    refunds: {
+                        refund_id: requestId,
+                        amount,
+                        amount_minor: amountMinor,
+                        status: "requested",
+                        requested_at: now,
+                        updated_at: now,
+                    },
+                },
+                $set: { refund_status: "requested", refund_updated_at: now },
+            }
+        );
+
+        let refund;
+        try {
+            refund = await stripe.refunds.create(
+                {
+                    payment_intent: donation.payment_intent_id,
+                    amount: amountMinor,
+                    metadata: { donation_id: donation._id.toString() },
+                },
+                { idempotencyKey: `donation-refund-${requestId}` }
+            );
+        } catch (error) {
+            await applyUpdate(donation._id, { id: requestId, status: "failed" });
+            throw error;
+        }
+
+        // Swap the placeholder id for Stripe's so webhook updates can find this refund
+        await recievedDonationCollection.updateOne(
+            { _id: donation._id, "refunds.refund_id": requestId },
+            { $set: { "refunds.$.refund_id": refund.id } }
+        );
+        return applyUpdate(donation._id, refund);
+    };
+};
+
+// POST /stripe/webhook
+const handleStripeWebhook = ({
+    stripe,
+    donationsCollection,
+    recievedDonationCollection,
+    usersCollection,
+    countersCollection,
+    paymentIntentsCollection,
+    notify,
+    onCampaignFunded,
+    handleSubscriptionEvent,
+}) => {
+    const record = recordPaymentIntent({
+        donationsCollection,
+        recievedDonationCollection,
+        usersCollection,
+        countersCollection,
+        paymentIntentsCollection,
+        notify,
+        onCampaignFunded,
+    });
+    const applyRefund = applyRefundUpdate({ donationsCollection, recievedDonationCollection, notify });
+
+    return async (req, res) => {
+        let event;
+        try {
+            event = stripe.webhooks.constructEvent(
+                req.rawBody,
+                req.headers["stripe-signature"],
+                process.env.STRIPE_WEBHOOK_SECRET
+            );
+        } catch (error) {
+            return res.status(400).send({ success: false, message: "Invalid Stripe signature", error: error.message });
+        }
+
+        try {
+            switch (event.type) {
+                case "payment_intent.succeeded":
+                    await record(event.data.object, "succeeded");
+                    break;
+                case "payment_intent.payment_failed":
+                    await record(event.data.object, "failed");
+                    break;
+                case "payment_intent.canceled":
+                    await closePaymentIntent({
+                        paymentIntentsCollection,
+                        countersCollection,
+                        paymentIntent: event.data.object,
+                        status: "canceled",
+                    });
+                    break;
+                case "refund.updated":
+                case "charge.refund.updated": {
+                    const refund = event.data.object;
+                    const donation = await recievedDonationCollection.findOne({ "refunds.refund_id": refund.id });
+                    if (donation) await applyRefund(donation._id, refund);
+                    break;
+                }
+                default:
+                    // Monthly pledge events go to the pledge service; anything else is acknowledged but ignored
+                    if (handleSubscriptionEvent) await handleSubscriptionEvent(event);
+                    break;
+            }
+            res.send({ received: true });
+        } catch (error) {
+            console.error("Error handling Stripe webhook:", error);
+            // A non-2xx response makes Stripe retry the event later
+            res.status(500).send({ success: false, message: "Failed to handle Stripe event", error: error.message });
+        }
+    };
+};
+
+module.exports = {
+    reserveIntentSlot,
+    releaseIntentSlot,
+    trackPaymentIntent,
+    handleStripeWebhook,
+    recordPaymentIntent,
+    refundDonation,
+};
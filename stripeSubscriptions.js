@@ -0,0 +1,404 @@
+const { ObjectId } = require("mongodb");
+const recomputeCampaignTotal = require("./utils/donation__totals.js");
+const { getCampaignStatus, getRemainingGoalMinor } = require("./utils/campaign__status.js");
+const { noopNotify } = require("./utils/notification__center.js");
+const { assignReceiptNumber } = require("./utils/donation__receipts.js");
+const { normalizeCurrency, toMinorUnits, fromMinorUnits, formatMoney } = require("./utils/currency__units.js");
+const { refundDonation } = require("./stripePayments.js");
+
+// Monthly pledges: a Stripe subscription per donor and campaign. Every paid invoice is recorded in
+// recievedDonationCollection (keyed by invoice_id) and counts towards total_donations like a one-off gift.
+// Pledge status: incomplete (waiting for the first payment) -> active <-> paused -> canceled.
+// Like one-off gifts, pledges never take money beyond the goal: an invoice is capped at what the campaign still
+// needs, and a charge that lands on a closed campaign (or past the goal anyway) is refunded.
+
+const OPEN_PLEDGE_STATUSES = ["incomplete", "active", "paused"];
+
+const GOAL_REACHED_REASON = "The campaign reached its goal, thank you!";
+const CAMPAIGN_CLOSED_REASON = "The campaign has closed";
+
+// Stripe moved the subscription of an invoice under parent.subscription_details; older payloads have it on top
+const getInvoiceSubscriptionId = (invoice) => {
+    const subscription = invoice.parent?.subscription_details?.subscription || invoice.subscription;
+    return typeof subscription === "string" ? subscription : subscription?.id || null;
+};
+
+const isMissingResource = (error) => error?.code === "resource_missing";
+
+// active / paused / funded / expired, or deleted once the campaign is gone
+const getPledgeCampaignStatus = (campaign) =>
+    !campaign || campaign.deleted_at ? "deleted" : getCampaignStatus(campaign);
+
+// All pledge operations share the same Stripe client and collections; pass a mocked stripe to test them
+const createPledgeService = ({
+    stripe,
+    pledgesCollection,
+    donationsCollection,
+    recievedDonationCollection,
+    usersCollection,
+    countersCollection,
+    notify = noopNotify,
+}) => {
+    const refund = refundDonation({ stripe, donationsCollection, recievedDonationCollection, notify });
+
+    // Stripe customer for a user, created on their first pledge
+    const getCustomerId = async (user) => {
+        if (user.stripe_customer_id) return user.stripe_customer_id;
+        const customer = await stripe.customers.create(
+            { email: user.email, name: user.name || undefined, metadata: { user_id: user._id.toString() } },
+            { idempotencyKey: `customer-${user._id}` }
+        );
+        await usersCollection.updateOne({ _id: user._id }, { $set: { stripe_customer_id: customer.id } });
+        return customer.id;
+    };
+
+    // Stripe product standing for a campaign, created on its first pledge
+    const getProductId = async (campaign) => {
+        if (campaign.stripe_product_id) return campaign.stripe_product_id;
+        const product = await stripe.products.create(
+            { name: `Monthly pledge for ${campaign.pet_name}`, metadata: { campaign_id: campaign._id.toString() } },
+            { idempotencyKey: `campaign-product-${campaign._id}` }
+        );
+        await donationsCollection.updateOne({ _id: campaign._id }, { $set: { stripe_product_id: product.id } });
+        return product.id;
+    };
+
+    // Start a monthly pledge. The first invoice still has to be paid with the returned clientSecret.
+    // Resolves to { success: true, pledge, clientSecret } or { success: false, code, message }.
+    const startPledge = async ({ user, campaign, amount }) => {
+        if (getCampaignStatus(campaign) !== "active") {
+            return { success: false, code: 409, message: "This campaign is not accepting donations" };
+        }
+        const existing = await pledgesCollection.findOne({
+            campaign_id: campaign._id,
+            donor_email: user.email,
+            status: { $in: OPEN_PLEDGE_STATUSES },
+        });
+        if (existing) {
+            return { success: false, code: 409, message: "You already have a monthly pledge for this campaign" };
+        }
+
+        const now = new Date().toISOString();
+        const currency = normalizeCurrency(campaign.currency);
+        const pledge = {
+            campaign_id: campaign._id,
+            pet_name: campaign.pet_name,
+            pet_image: campaign.pet_image,
+            donor_email: user.email,
+            donor_name: user.name || null,
+            amount,
+            amount_minor: toMinorUnits(amount, currency),
+            currency,
+            interval: "month",
+            status: "incomplete",
+            charges: 0,
+            created_at: now,
+            last_updated: now,
+        };
+        const { insertedId } = await pledgesCollection.insertOne(pledge);
+
+        let subscription;
+        try {
+            subscription = await stripe.subscriptions.create(
+                {
+                    customer: await getCustomerId(user),
+                    items: [
+                        {
+                            price_data: {
+                                currency: pledge.currency,
+                                product: await getProductId(campaign),
+                                unit_amount: pledge.amount_minor,
+                                recurring: { interval: "month" },
+                            },
+                        },
+                    ],
+                    payment_behavior: "default_incomplete",
+                    payment_settings: { save_default_payment_method: "on_subscription" },
+                    metadata: {
+                        pledge_id: insertedId.toString(),
+                        campaign_id: campaign._id.toString(),
+                        donor_email: user.email,
+                    },
+                    expand: ["latest_invoice.confirmation_secret"],
+                },
+                { idempotencyKey: `pledge-${insertedId}` }
+            );
+        } catch (error) {
+            // Without a subscription the pledge never started; left open it would block the donor's next try
+            await pledgesCollection.deleteOne({ _id: insertedId });
+            throw error;
+        }
+        await pledgesCollection.updateOne({ _id: insertedId }, { $set: { stripe_subscription_id: subscription.id } });
+
+        return {
+            success: true,
+            pledge: { _id: insertedId, ...pledge, stripe_subscription_id: subscription.id },
+            clientSecret: subscription.latest_invoice?.confirmation_secret?.client_secret || null,
+        };
+    };
+
+    // Pause or resume collection; a paused pledge skips its monthly charges until resumed.
+    // Resolves to { success: true, pledge } or { success: false, code, message }.
+    const setPledgePaused = async ({ pledge, paused }) => {
+        const from = paused ? "active" : "paused";
+        if (pledge.status !== from) {
+            return {
+                success: false,
+                code: 409,
+                message: `Only ${from} pledges can be ${paused ? "paused" : "resumed"}`,
+            };
+        }
+        await stripe.subscriptions.update(pledge.stripe_subscription_id, {
+            // Unset by sending an empty value
+            pause_collection: paused ? { behavior: "void" } : "",
+        });
+        const now = new Date().toISOString();
+        await pledgesCollection.updateOne(
+            { _id: pledge._id },
+            { $set: { status: paused ? "paused" : "active", paused_at: paused ? now : null, last_updated: now } }
+        );
+        return { success: true, pledge: await pledgesCollection.findOne({ _id: pledge._id }) };
+    };
+
+    // Cancel a pledge for good (safe to call for subscriptions Stripe already removed)
+    const cancelPledge = async ({ pledge, reason }) => {
+        if (!OPEN_PLEDGE_STATUSES.includes(pledge.status)) {
+            return { success: false, code: 409, message: "This pledge is already canceled" };
+        }
+        if (pledge.stripe_subscription_id) {
+            try {
+                await stripe.subscriptions.cancel(pledge.stripe_subscription_id);
+            } catch (error) {
+                if (!isMissingResource(error)) throw error;
+            }
+        }
+        const now = new Date().toISOString();
+        await pledgesCollection.updateOne(
+            { _id: pledge._id },
+            { $set: { status: "canceled", canceled_at: now, cancel_reason: reason || null, last_updated: now } }
+        );
+        return { success: true, pledge: await pledgesCollection.findOne({ _id: pledge._id }) };
+    };
+
+    // Stop every open pledge of a campaign that has closed (funded, expired or deleted)
+    const stopCampaignPledges = async ({ campaignId, reason }) => {
+        const pledges = await pledgesCollection
+            .find({ campaign_id: new ObjectId(campaignId), status: { $in: OPEN_PLEDGE_STATUSES } })
+            .toArray();
+        for (const pledge of pledges) {
+            await cancelPledge({ pledge, reason });
+            await notify({
+                recipient: pledge.donor_email,
+                type: "pledge_stopped",
+                title: `Monthly pledge for ${pledge.pet_name} stopped`,
+                message: reason,
+                link: "/dashboard/my-pledges",
+                data: { pledge_id: pledge._id.toString(), campaign_id: pledge.campaign_id.toString() },
+            });
+        }
+        return pledges.length;
+    };
+
+    const findPledgeForInvoice = (invoice) => {
+        const subscriptionId = getInvoiceSubscriptionId(invoice);
+        return subscriptionId ? pledgesCollection.findOne({ stripe_subscription_id: subscriptionId }) : null;
+    };
+
+    // The payment intent behind an invoice, needed later to refund that month's charge
+    const getInvoicePaymentIntentId = async (invoice) => {
+        if (typeof invoice.payment_intent === "string") return invoice.payment_intent;
+        try {
+            const payments = await stripe.invoicePayments.list({ invoice: invoice.id, limit: 1 });
+            const paymentIntent = payments.data[0]?.payment?.payment_intent;
+            return typeof paymentIntent === "string" ? paymentIntent : paymentIntent?.id || null;
+        } catch (error) {
+            console.error("Failed to look up invoice payment:", error);
+            return null;
+        }
+    };
+
+    // invoice.paid: record this month's charge as a donation (once per invoice) and refund whatever went beyond
+    // the goal, or all of it when the campaign had already closed
+    const recordInvoicePayment = async (invoice) => {
+        const pledge = await findPledgeForInvoice(invoice);
+        if (!pledge || !invoice.amount_paid) return { recorded: false };
+
+        const campaign = await donationsCollection.findOne({ _id: pledge.campaign_id });
+        const donor = await usersCollection.findOne({ email: pledge.donor_email });
+        const now = new Date().toISOString();
+        const filter = { invoice_id: invoice.id };
+        const previous = await recievedDonationCollection.findOne(filter, { projection: { _id: 1 } });
+        const currency = normalizeCurrency(invoice.currency);
+        const campaignStatus = getPledgeCampaignStatus(campaign);
+        const overGoalMinor =
+            campaignStatus === "active"
+                ? Math.max(invoice.amount_paid - getRemainingGoalMinor(campaign), 0)
+                : invoice.amount_paid;
+
+        const update = {
+            $set: {
+                payment_status: "succeeded",
+                amount_minor: invoice.amount_paid,
+                amount_donated: fromMinorUnits(invoice.amount_paid, currency),
+                currency,
+                last_updated: now,
+            },
+            $setOnInsert: {
+                campaign_id: pledge.campaign_id,
+                pledge_id: pledge._id,
+                recurring: true,
+                email: pledge.donor_email,
+                user_name: donor?.name || pledge.donor_name,
+                profilepic: donor?.profilepic || null,
+                pet_name: campaign?.pet_name || pledge.pet_name,
+                pet_image: campaign?.pet_image || pledge.pet_image,
+                donated_at: now,
+                // Decided when the charge is first recorded, so a replayed event refunds the same amount
+                over_goal_minor: overGoalMinor,
+            },
+        };
+        // Only set when known: payment_intent_id is unique wherever it exists
+        const paymentIntentId = await getInvoicePaymentIntentId(invoice);
+        if (paymentIntentId) update.$set.payment_intent_id = paymentIntentId;
+
+        await recievedDonationCollection.updateOne(filter, update, { upsert: true });
+        if (countersCollection) {
+            await assignReceiptNumber({ recievedDonationCollection, countersCollection, filter });
+        }
+        const donation = await recievedDonationCollection.findOne(filter);
+        if (donation.over_goal_minor > 0 && !donation.refunds?.length) {
+            if (donation.payment_intent_id) await refund(donation, donation.over_goal_minor);
+            else console.error(`Invoice ${invoice.id} went beyond its campaign's goal but has no payment to refund`);
+        }
+        const totalDonations = await recomputeCampaignTotal({
+            donationsCollection,
+            recievedDonationCollection,
+            campaignId: pledge.campaign_id,
+        });
+
+        if (!previous) {
+            await pledgesCollection.updateOne(
+                { _id: pledge._id },
+                {
+                    $set: {
+                        status: pledge.status === "incomplete" ? "active" : pledge.status,
+                        last_charged_at: now,
+                        last_failure_message: null,
+                        last_updated: now,
+                    },
+                    $inc: { charges: 1 },
+                }
+            );
+        }
+        // Nothing to tell the owner when the whole charge went back to the donor
+        if (!previous && overGoalMinor < invoice.amount_paid) {
+            const amount = fromMinorUnits(invoice.amount_paid - overGoalMinor, currency);
+            await notify({
+                recipient: campaign?.added_by?.email,
+                type: "donation_received",
+                title: `New monthly donation for ${campaign?.pet_name}`,
+                message: `${donor?.name || pledge.donor_name || "Someone"} donated ${formatMoney(amount, currency)}`,
+                link: `/donation-detail/${pledge.campaign_id}`,
+                data: { campaign_id: pledge.campaign_id.toString(), amount, currency },
+                actor: pledge.donor_email,
+            });
+        }
+
+        // Reaching the goal closes the campaign, and with it every monthly pledge; so does a campaign that ended
+        // before this charge (a paused one only skips the month)
+        const updatedCampaign = await donationsCollection.findOne({ _id: pledge.campaign_id });
+        if (updatedCampaign && getCampaignStatus(updatedCampaign) === "funded") {
+            await stopCampaignPledges({ campaignId: pledge.campaign_id, reason: GOAL_REACHED_REASON });
+        } else if (campaignStatus === "expired" || campaignStatus === "deleted") {
+            await stopCampaignPledges({ campaignId: pledge.campaign_id, reason: CAMPAIGN_CLOSED_REASON });
+        }
+        return { recorded: true, total_donations: totalDonations };
+    };
+
+    // invoice.created: cap the charge at what the campaign still needs, skip the month for paused campaigns,
+    // and end pledges for campaigns that closed
+    const screenUpcomingInvoice = async (invoice) => {
+        const pledge = await findPledgeForInvoice(invoice);
+        if (!pledge || !OPEN_PLEDGE_STATUSES.includes(pledge.status)) return;
+        const campaign = await donationsCollection.findOne({ _id: pledge.campaign_id });
+        const status = getPledgeCampaignStatus(campaign);
+
+        if (status === "active") {
+            // A negative line brings the draft down to the amount left; the pledge then ends with the goal
+            const overGoalMinor = invoice.amount_due - getRemainingGoalMinor(campaign);
+            if (invoice.status === "draft" && overGoalMinor > 0) {
+                await stripe.invoiceItems.create({
+                    customer: invoice.customer,
+                    invoice: invoice.id,
+                    currency: invoice.currency,
+                    amount: -overGoalMinor,
+                    description: "Capped at the amount left to reach the goal",
+                });
+            }
+            return;
+        }
+
+        if (status === "paused") {
+            // Draft invoices can simply be removed; the pledge carries on next month
+            if (invoice.status === "draft") await stripe.invoices.del(invoice.id);
+            return;
+        }
+        await stopCampaignPledges({
+            campaignId: pledge.campaign_id,
+            reason: status === "funded" ? GOAL_REACHED_REASON : CAMPAIGN_CLOSED_REASON,
+        });
+    };
+
+    // Mark the open pledge of a subscription Stripe ended as canceled
+    const closeSubscriptionPledge = async (subscriptionId, reason) => {
+        const now = new Date().toISOString();
+        await pledgesCollection.updateOne(
+            { stripe_subscription_id: subscriptionId, status: { $in: OPEN_PLEDGE_STATUSES } },
+            { $set: { status: "canceled", canceled_at: now, cancel_reason: reason, last_updated: now } }
+        );
+    };
+
+    // Subscription events routed here from the Stripe webhook; returns false for events it does not handle
+    const handleSubscriptionEvent = async (event) => {
+        const object = event.data.object;
+        switch (event.type) {
+            case "invoice.paid":
+                await recordInvoicePayment(object);
+                return true;
+            case "invoice.payment_failed": {
+                const pledge = await findPledgeForInvoice(object);
+                if (pledge) {
+                    await pledgesCollection.updateOne(
+                        { _id: pledge._id },
+                        {
+                            $set: {
+                                last_failure_message: object.last_finalization_error?.message || "Payment failed",
+                                last_updated: new Date().toISOString(),
+                            },
+                        }
+                    );
+                }
+                return true;
+            }
+            case "invoice.created":
+                await screenUpcomingInvoice(object);
+                return true;
+            case "customer.subscription.deleted":
+                // Canceled from Stripe's side (dashboard, or after repeated failed payments)
+                await closeSubscriptionPledge(object.id, "Canceled in Stripe");
+                return true;
+            case "customer.subscription.updated":
+                // The first invoice was never paid in time, so Stripe gave up on the subscription
+                if (object.status === "incomplete_expired") {
+                    await closeSubscriptionPledge(object.id, "The first payment was not completed");
+                }
+                return true;
+            default:
+                return false;
+        }
+    };
+
+    return { startPledge, setPledgePaused, cancelPledge, stopCampaignPledges, handleSubscriptionEvent };
+};
+
+module.exports = { OPEN_PLEDGE_STATUSES, GOAL_REACHED_REASON, createPledgeService };
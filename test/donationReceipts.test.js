@@ -0,0 +1,97 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { assignReceiptNumber, backfillReceiptNumbers } = require("../utils/donation__receipts.js");
+const { fakeCollection } = require("./helpers/fakeCollection.js");
+
+const donation = (fields = {}) => ({
+    _id: new ObjectId(),
+    payment_intent_id: `pi_${new ObjectId()}`,
+    payment_status: "succeeded",
+    donated_at: new Date().toISOString(),
+    ...fields,
+});
+
+// A counter collection whose next numbering call throws once
+const failingOnce = (countersCollection) => {
+    let failed = false;
+    return {
+        ...countersCollection,
+        findOneAndUpdate: async (...args) => {
+            if (!failed) {
+                failed = true;
+                throw new Error("counter unavailable");
+            }
+            return countersCollection.findOneAndUpdate(...args);
+        },
+    };
+};
+
+test("assignReceiptNumber numbers a donation once", async () => {
+    const recievedDonationCollection = fakeCollection([donation()]);
+    const countersCollection = fakeCollection();
+    const filter = { _id: recievedDonationCollection.docs[0]._id };
+
+    const first = await assignReceiptNumber({ recievedDonationCollection, countersCollection, filter });
+    const again = await assignReceiptNumber({ recievedDonationCollection, countersCollection, filter });
+
+    assert.equal(first, 1);
+    assert.equal(again, 1);
+    assert.equal(countersCollection.docs[0].seq, 1);
+});
+
+test("a failed numbering releases the claim so a retry can number the donation", async () => {
+    const recievedDonationCollection = fakeCollection([donation()]);
+    const countersCollection = failingOnce(fakeCollection());
+    const filter = { _id: recievedDonationCollection.docs[0]._id };
+
+    await assert.rejects(
+        assignReceiptNumber({ recievedDonationCollection, countersCollection, filter }),
+        /counter unavailable/
+    );
+    assert.equal(recievedDonationCollection.docs[0].receipt_claimed_at, undefined);
+
+    const receiptNumber = await assignReceiptNumber({ recievedDonationCollection, countersCollection, filter });
+    assert.equal(receiptNumber, 1);
+    assert.equal(recievedDonationCollection.docs[0].receipt_number, 1);
+});
+
+test("a stale claim left by a crashed caller can be taken over", async () => {
+    const claimedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    const recievedDonationCollection = fakeCollection([donation({ receipt_claimed_at: claimedAt })]);
+    const countersCollection = fakeCollection();
+
+    const { numbered } = await backfillReceiptNumbers({ recievedDonationCollection, countersCollection });
+
+    assert.equal(numbered, 1);
+    assert.equal(recievedDonationCollection.docs[0].receipt_number, 1);
+});
+
+test("a fresh claim is left to the caller holding it", async () => {
+    const claimedAt = new Date().toISOString();
+    const recievedDonationCollection = fakeCollection([donation({ receipt_claimed_at: claimedAt })]);
+    const countersCollection = fakeCollection();
+    const filter = { _id: recievedDonationCollection.docs[0]._id };
+
+    const receiptNumber = await assignReceiptNumber({ recievedDonationCollection, countersCollection, filter });
+
+    assert.equal(receiptNumber, null);
+    assert.equal(countersCollection.docs.length, 0);
+});
+
+test("backfillReceiptNumbers numbers earlier donations oldest first and skips failed ones", async () => {
+    const recievedDonationCollection = fakeCollection([
+        donation({ donated_at: "2024-03-01T00:00:00.000Z" }),
+        donation({ donated_at: "2024-01-01T00:00:00.000Z" }),
+        donation({ donated_at: "2024-02-01T00:00:00.000Z", payment_status: "failed" }),
+    ]);
+    const countersCollection = fakeCollection();
+
+    const { numbered } = await backfillReceiptNumbers({ recievedDonationCollection, countersCollection });
+
+    assert.equal(numbered, 2);
+    assert.deepEqual(
+        recievedDonationCollection.docs.map((doc) => doc.receipt_number),
+        [2, 1, undefined]
+    );
+});
@@ -0,0 +1,256 @@
+const { ObjectId } = require("mongodb");
+
+// Just enough of a MongoDB collection for the helpers under test: the filter and update operators they use,
+// find/sort cursors, $match/$group aggregations and $set pipeline updates with simple expressions.
+// Documents live in `docs`.
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+const sameValue = (a, b) => {
+    if (a instanceof ObjectId && b instanceof ObjectId) return a.equals(b);
+    return (a ?? null) === (b ?? null);
+};
+
+// A path through an array ("refunds.refund_id") collects the field from every item, like MongoDB does
+const getPath = (doc, path) =>
+    path.split(".").reduce((value, key) => {
+        if (value == null) return undefined;
+        if (Array.isArray(value) && !/^\d+$/.test(key)) return value.flatMap((item) => item?.[key] ?? []);
+        return value[key];
+    }, doc);
+
+const isOperatorObject = (condition) =>
+    isPlainObject(condition) && Object.keys(condition).some((key) => key.startsWith("$"));
+
+const matchCondition = (value, condition) => {
+    if (!isOperatorObject(condition)) {
+        return Array.isArray(value) ? value.some((item) => sameValue(item, condition)) : sameValue(value, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        if (Array.isArray(value) && operator !== "$exists") {
+            // Arrays match when any item does, and $ne / $nin when no item equals the operand
+            if (operator === "$ne") return !value.some((item) => sameValue(item, operand));
+            if (operator === "$nin") return !value.some((item) => operand.some((option) => sameValue(item, option)));
+            return value.some((item) => matchCondition(item, { [operator]: operand }));
+        }
+        switch (operator) {
+            case "$in":
+                return operand.some((option) => sameValue(value, option));
+            case "$nin":
+                return !operand.some((option) => sameValue(value, option));
+            case "$ne":
+                return !sameValue(value, operand);
+            case "$exists":
+                return (value !== undefined) === operand;
+            case "$lt":
+                return value != null && value < operand;
+            case "$lte":
+                return value != null && value <= operand;
+            case "$gt":
+                return value != null && value > operand;
+            case "$gte":
+                return value != null && value >= operand;
+            default:
+                throw new Error(`fakeCollection does not support ${operator}`);
+        }
+    });
+};
+
+const matches = (doc, filter = {}) =>
+    Object.entries(filter).every(([field, condition]) => {
+        if (field === "$or") return condition.some((branch) => matches(doc, branch));
+        if (field === "$and") return condition.every((branch) => matches(doc, branch));
+        if (field === "$expr") return Boolean(evaluate(doc, condition));
+        return matchCondition(getPath(doc, field), condition);
+    });
+
+// Aggregation expressions: field paths, $$variables, literals and the few operators the helpers use
+const evaluate = (doc, expression, vars = {}) => {
+    if (typeof expression === "string" && expression.startsWith("$$")) {
+        const [name, ...path] = expression.slice(2).split(".");
+        return path.length ? getPath(vars[name], path.join(".")) : vars[name];
+    }
+    if (typeof expression === "string" && expression.startsWith("$")) return getPath(doc, expression.slice(1));
+    if (Array.isArray(expression)) return expression.map((item) => evaluate(doc, item, vars));
+    if (!isPlainObject(expression)) return expression;
+    if (!isOperatorObject(expression)) {
+        return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(doc, value, vars)]));
+    }
+    const [[operator, args]] = Object.entries(expression);
+    if (operator === "$literal") return args;
+    if (operator === "$filter") {
+        const input = evaluate(doc, args.input, vars) || [];
+        return input.filter((item) => evaluate(doc, args.cond, { ...vars, this: item }));
+    }
+    if (operator === "$let") {
+        const defined = Object.fromEntries(
+            Object.entries(args.vars).map(([name, value]) => [name, evaluate(doc, value, vars)])
+        );
+        return evaluate(doc, args.in, { ...vars, ...defined });
+    }
+    const values = Array.isArray(args) ? args.map((arg) => evaluate(doc, arg, vars)) : [evaluate(doc, args, vars)];
+    switch (operator) {
+        case "$ifNull":
+            return values.find((value) => value != null) ?? null;
+        case "$multiply":
+            return values.reduce((product, value) => product * value, 1);
+        case "$subtract":
+            return values[0] - values[1];
+        case "$round":
+            return Math.round(values[0]);
+        case "$size":
+            return values[0].length;
+        case "$lt":
+            return values[0] < values[1];
+        case "$lte":
+            return values[0] <= values[1];
+        case "$gt":
+            return values[0] > values[1];
+        case "$cond":
+            return values[0] ? values[1] : values[2];
+        case "$concatArrays":
+            return values.flat();
+        default:
+            throw new Error(`fakeCollection does not support ${operator}`);
+    }
+};
+
+// "refunds.$.status" points at the array item the filter matched
+const setField = (doc, field, value, filter) => {
+    if (!field.includes(".$.")) {
+        doc[field] = value;
+        return;
+    }
+    const [arrayField, rest] = field.split(".$.");
+    const [filterField, condition] = Object.entries(filter).find(([key]) => key.startsWith(`${arrayField}.`));
+    const item = doc[arrayField].find((candidate) =>
+        matchCondition(getPath(candidate, filterField.slice(arrayField.length + 1)), condition)
+    );
+    item[rest] = value;
+};
+
+const applyUpdate = (doc, update, inserting, filter = {}) => {
+    // An update pipeline: only $set stages, evaluated against the document as it stands
+    if (Array.isArray(update)) {
+        for (const stage of update) {
+            const values = Object.entries(stage.$set).map(([field, value]) => [field, evaluate(doc, value)]);
+            for (const [field, value] of values) doc[field] = value;
+        }
+        return;
+    }
+    for (const [field, value] of Object.entries(update.$set || {})) setField(doc, field, value, filter);
+    if (inserting) for (const [field, value] of Object.entries(update.$setOnInsert || {})) doc[field] = value;
+    for (const field of Object.keys(update.$unset || {})) delete doc[field];
+    for (const [field, value] of Object.entries(update.$inc || {})) doc[field] = (doc[field] || 0) + value;
+    for (const [field, value] of Object.entries(update.$push || {})) {
+        const items = isPlainObject(value) && value.$each ? value.$each : [value];
+        doc[field] = [...(doc[field] || []), ...items];
+    }
+    for (const [field, condition] of Object.entries(update.$pull || {})) {
+        doc[field] = (doc[field] || []).filter((item) => !matches(item, condition));
+    }
+};
+
+// Plain fields of an upsert filter become fields of the inserted document
+const seedFromFilter = (filter) =>
+    Object.fromEntries(
+        Object.entries(filter).filter(([field, value]) => !field.startsWith("$") && !isPlainObject(value))
+    );
+
+const sortDocs = (docs, sort) =>
+    [...docs].sort((a, b) => {
+        for (const [field, direction] of Object.entries(sort)) {
+            const left = String(getPath(a, field) ?? "");
+            const right = String(getPath(b, field) ?? "");
+            if (left !== right) return left < right ? -direction : direction;
+        }
+        return 0;
+    });
+
+const cursor = (load) => {
+    let sort = null;
+    const results = () => (sort ? sortDocs(load(), sort) : load());
+    return {
+        sort(spec) {
+            sort = spec;
+            return this;
+        },
+        toArray: async () => results(),
+        async *[Symbol.asyncIterator]() {
+            yield* results();
+        },
+    };
+};
+
+const fakeCollection = (docs = []) => {
+    const upsert = (filter, update) => {
+        const doc = { _id: filter._id || new ObjectId(), ...seedFromFilter(filter) };
+        applyUpdate(doc, update, true);
+        docs.push(doc);
+        return doc;
+    };
+
+    return {
+        docs,
+        findOne: async (filter) => docs.find((doc) => matches(doc, filter)) || null,
+        find: (filter) => cursor(() => docs.filter((doc) => matches(doc, filter))),
+        countDocuments: async (filter) => docs.filter((doc) => matches(doc, filter)).length,
+        insertOne: async (doc) => {
+            const insertedId = doc._id || new ObjectId();
+            docs.push({ ...doc, _id: insertedId });
+            return { insertedId };
+        },
+        updateOne: async (filter, update, options = {}) => {
+            const doc = docs.find((candidate) => matches(candidate, filter));
+            if (doc) {
+                applyUpdate(doc, update, false, filter);
+                return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+            }
+            if (options.upsert) {
+                const inserted = upsert(filter, update);
+                return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+            }
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+        },
+        updateMany: async (filter, update) => {
+            const matched = docs.filter((doc) => matches(doc, filter));
+            matched.forEach((doc) => applyUpdate(doc, update, false, filter));
+            return { matchedCount: matched.length, modifiedCount: matched.length };
+        },
+        findOneAndUpdate: async (filter, update, options = {}) => {
+            let doc = docs.find((candidate) => matches(candidate, filter));
+            if (doc) applyUpdate(doc, update, false, filter);
+            else if (options.upsert) doc = upsert(filter, update);
+            return doc || null;
+        },
+        deleteOne: async (filter) => {
+            const index = docs.findIndex((doc) => matches(doc, filter));
+            if (index !== -1) docs.splice(index, 1);
+            return { deletedCount: index === -1 ? 0 : 1 };
+        },
+        aggregate: (pipeline) =>
+            cursor(() =>
+                pipeline.reduce((current, stage) => {
+                    if (stage.$match) return current.filter((doc) => matches(doc, stage.$match));
+                    if (stage.$group) {
+                        const { _id: key, ...accumulators } = stage.$group;
+                        const groups = new Map();
+                        for (const doc of current) {
+                            const id = evaluate(doc, key);
+                            const groupKey = String(id);
+                            if (!groups.has(groupKey)) groups.set(groupKey, { _id: id });
+                            const group = groups.get(groupKey);
+                            for (const [field, { $sum }] of Object.entries(accumulators)) {
+                                group[field] = (group[field] || 0) + evaluate(doc, $sum);
+                            }
+                        }
+                        return [...groups.values()];
+                    }
+                    throw new Error(`fakeCollection does not support ${Object.keys(stage)[0]}`);
+                }, docs)
+            ),
+    };
+};
+
+module.exports = { fakeCollection };
@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore, createRateLimiter } = require("../utils/rate__limit.js");
+
+const limits = { auth: { windowSeconds: 60, ip: 3, user: 2 } };
+
+// Runs a middleware and reports whether it let the request through
+const run = async (middleware, req) => {
+    const res = { statusCode: 200, setHeader: () => {} };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.send = () => res;
+    let passed = false;
+    await middleware(req, res, () => {
+        passed = true;
+    });
+    return passed ? 200 : res.statusCode;
+};
+
+test("the user limit applies once the caller is known", async () => {
+    const limit = createRateLimiter({ store: createMemoryStore(), limits });
+    const byUser = limit("auth", { scope: "user" });
+    const req = (ip) => ({ ip, firebaseUser: { email: "user@example.com" } });
+
+    // Different IPs, same user
+    assert.equal(await run(byUser, req("10.0.0.1")), 200);
+    assert.equal(await run(byUser, req("10.0.0.2")), 200);
+    assert.equal(await run(byUser, req("10.0.0.3")), 429);
+});
+
+test("the user scope leaves the IP count to the earlier check", async () => {
+    const limit = createRateLimiter({ store: createMemoryStore(), limits });
+    const byIp = limit("auth");
+    const byUser = limit("auth", { scope: "user" });
+
+    for (const email of ["a@example.com", "b@example.com", "c@example.com"]) {
+        assert.equal(await run(byIp, { ip: "10.0.0.1" }), 200);
+        assert.equal(await run(byUser, { ip: "10.0.0.1", firebaseUser: { email } }), 200);
+    }
+    assert.equal(await run(byIp, { ip: "10.0.0.1" }), 429);
+});
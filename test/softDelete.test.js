@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { softDeletePet, softDeleteCampaign, restoreDocument } = require("../utils/soft__delete.js");
+const { fakeCollection } = require("./helpers/fakeCollection.js");
+
+const actor = { email: "admin@example.com" };
+
+test("deleting a pet cancels its open adoption requests and says so", async () => {
+    const pet = { _id: new ObjectId(), pet_name: "Milo" };
+    const request = (status) => ({
+        _id: new ObjectId(),
+        pet_id: pet._id.toString(),
+        pet_name: "Milo",
+        user_email: "adopter@example.com",
+        adoption_status: status,
+    });
+    const petCollection = fakeCollection([pet]);
+    const adoptRequestsCollection = fakeCollection([request("pending"), request("under_review"), request("approved")]);
+    const notifications = [];
+
+    const result = await softDeletePet({
+        petCollection,
+        adoptRequestsCollection,
+        pet,
+        actor,
+        notify: async (notification) => notifications.push(notification),
+    });
+
+    assert.equal(result.cancelledRequests, 2);
+    assert.deepEqual(
+        adoptRequestsCollection.docs.map((doc) => doc.adoption_status),
+        ["cancelled", "cancelled", "approved"]
+    );
+    const [entry] = adoptRequestsCollection.docs[0].history;
+    assert.deepEqual([entry.from, entry.to, entry.actor_role], ["pending", "cancelled", "system"]);
+    assert.equal(notifications.length, 2);
+    assert.equal(notifications[0].title, "Adoption request cancelled");
+    assert.equal(notifications[0].message, "Your adoption request for Milo was cancelled: The pet listing was removed");
+});
+
+const deleteAndRestore = async (campaign) => {
+    const donationsCollection = fakeCollection([campaign]);
+    const recievedDonationCollection = fakeCollection();
+    const deleted = await softDeleteCampaign({ donationsCollection, recievedDonationCollection, campaign, actor });
+    assert.equal(deleted.success, true);
+    assert.equal(donationsCollection.docs[0].paused, true);
+
+    await restoreDocument({ collection: donationsCollection, doc: { ...donationsCollection.docs[0] }, actor });
+    return donationsCollection.docs[0];
+};
+
+test("a restored campaign is live again when it was live before deletion", async () => {
+    const restored = await deleteAndRestore({ _id: new ObjectId(), paused: false });
+
+    assert.equal(restored.paused, false);
+    assert.equal(restored.deleted_at, undefined);
+    assert.equal(restored.paused_before_delete, undefined);
+});
+
+test("a campaign paused before deletion stays paused when restored", async () => {
+    const restored = await deleteAndRestore({ _id: new ObjectId(), paused: true });
+
+    assert.equal(restored.paused, true);
+});
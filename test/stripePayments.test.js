@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    reserveIntentSlot,
+    releaseIntentSlot,
+    trackPaymentIntent,
+    handleStripeWebhook,
+} = require("../stripePayments.js");
+const { fakeCollection } = require("./helpers/fakeCollection.js");
+
+const email = "donor@example.com";
+const limit = Number(process.env.MAX_OUTSTANDING_PAYMENT_INTENTS) || 3;
+
+const paymentIntent = (id) => ({ id, amount: 1000, currency: "usd", metadata: { donor_email: email } });
+
+test("parallel requests never hold more intent slots than the limit", async () => {
+    const countersCollection = fakeCollection();
+
+    const results = await Promise.all(
+        Array.from({ length: limit + 2 }, () => reserveIntentSlot({ countersCollection, email }))
+    );
+
+    assert.equal(results.filter((result) => result.allowed).length, limit);
+    const refused = results.find((result) => !result.allowed);
+    assert.ok(refused.retryAfter > 0 && refused.retryAfter <= 3600);
+    assert.equal(countersCollection.docs[0].slots.length, limit);
+});
+
+test("a released slot can be taken again", async () => {
+    const countersCollection = fakeCollection();
+    const slots = [];
+    for (let i = 0; i < limit; i += 1) slots.push(await reserveIntentSlot({ countersCollection, email }));
+
+    await releaseIntentSlot({ countersCollection, email, slotId: slots[0].slotId });
+
+    assert.equal((await reserveIntentSlot({ countersCollection, email })).allowed, true);
+    assert.equal((await reserveIntentSlot({ countersCollection, email })).allowed, false);
+});
+
+test("slots older than the window stop counting", async () => {
+    const countersCollection = fakeCollection([
+        {
+            _id: `payment_intents:${email}`,
+            slots: Array.from({ length: limit }, () => ({ created_at: new Date(Date.now() - 2 * 3600 * 1000) })),
+        },
+    ]);
+
+    const result = await reserveIntentSlot({ countersCollection, email });
+
+    assert.equal(result.allowed, true);
+    assert.equal(countersCollection.docs[0].slots.length, 1);
+});
+
+test("a canceled intent frees its slot", async () => {
+    const countersCollection = fakeCollection();
+    const paymentIntentsCollection = fakeCollection();
+    const { slotId } = await reserveIntentSlot({ countersCollection, email });
+    await trackPaymentIntent({
+        paymentIntentsCollection,
+        countersCollection,
+        paymentIntent: paymentIntent("pi_1"),
+        email,
+        slotId,
+    });
+    assert.equal(countersCollection.docs[0].slots[0].payment_intent_id, "pi_1");
+
+    const canceled = { type: "payment_intent.canceled", data: { object: paymentIntent("pi_1") } };
+    const webhook = handleStripeWebhook({
+        stripe: { webhooks: { constructEvent: () => canceled } },
+        paymentIntentsCollection,
+        countersCollection,
+    });
+    const res = { send: () => res, status: () => res };
+    await webhook({ headers: {} }, res);
+
+    assert.equal(paymentIntentsCollection.docs[0].status, "canceled");
+    assert.deepEqual(countersCollection.docs[0].slots, []);
+});
@@ -0,0 +1,338 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { createPledgeService, GOAL_REACHED_REASON } = require("../stripeSubscriptions.js");
+const { recordPaymentIntent } = require("../stripePayments.js");
+const { fakeCollection } = require("./helpers/fakeCollection.js");
+
+// A stubbed Stripe client that records its calls; createSubscription can be swapped to simulate failures
+const fakeStripe = ({ createSubscription } = {}) => {
+    const calls = [];
+    let subscriptions = 0;
+    let refunds = 0;
+    return {
+        calls,
+        customers: { create: async () => ({ id: "cus_1" }) },
+        products: { create: async () => ({ id: "prod_1" }) },
+        subscriptions: {
+            create: async (params, options) => {
+                calls.push(["create", params, options]);
+                if (createSubscription) return createSubscription(params);
+                subscriptions += 1;
+                return {
+                    id: `sub_${subscriptions}`,
+                    latest_invoice: { confirmation_secret: { client_secret: `secret_${subscriptions}` } },
+                };
+            },
+            update: async (id, params) => calls.push(["update", id, params]),
+            cancel: async (id) => calls.push(["cancel", id]),
+        },
+        invoices: { del: async (id) => calls.push(["invoices.del", id]) },
+        invoiceItems: { create: async (params) => calls.push(["invoiceItems.create", params]) },
+        refunds: {
+            create: async (params) => {
+                calls.push(["refunds.create", params]);
+                refunds += 1;
+                return { id: `re_${refunds}`, status: "succeeded" };
+            },
+        },
+    };
+};
+
+const user = { _id: new ObjectId(), email: "donor@example.com", name: "Donor" };
+const otherUser = { _id: new ObjectId(), email: "other@example.com", name: "Other" };
+
+const campaignDoc = (fields = {}) => ({
+    _id: new ObjectId(),
+    pet_name: "Milo",
+    currency: "usd",
+    max_donation: 1000,
+    total_donations: 0,
+    paused: false,
+    last_date: new Date(Date.now() + 86400000).toISOString(),
+    added_by: { email: "owner@example.com" },
+    ...fields,
+});
+
+// A pledge service over fresh collections, with one campaign stored in donationsCollection
+const setup = ({ stripeOptions, campaign: campaignFields } = {}) => {
+    const stripe = fakeStripe(stripeOptions);
+    const campaign = campaignDoc(campaignFields);
+    const notifications = [];
+    const collections = {
+        pledgesCollection: fakeCollection(),
+        donationsCollection: fakeCollection([campaign]),
+        recievedDonationCollection: fakeCollection(),
+        usersCollection: fakeCollection([{ ...user }, { ...otherUser }]),
+        countersCollection: fakeCollection(),
+    };
+    const notify = async (notification) => notifications.push(notification);
+    const service = createPledgeService({ stripe, ...collections, notify });
+    return { stripe, campaign, notifications, notify, service, ...collections };
+};
+
+const invoice = (id, amountMinor, fields = {}) => ({
+    id,
+    customer: "cus_1",
+    subscription: "sub_1",
+    currency: "usd",
+    status: "paid",
+    amount_due: amountMinor,
+    amount_paid: amountMinor,
+    payment_intent: `pi_${id}`,
+    ...fields,
+});
+
+const event = (type, object) => ({ type, data: { object } });
+
+test("startPledge opens an incomplete pledge backed by a Stripe subscription", async () => {
+    const { stripe, campaign, pledgesCollection, service } = setup();
+    const result = await service.startPledge({ user, campaign, amount: 12.5 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.clientSecret, "secret_1");
+    assert.equal(pledgesCollection.docs.length, 1);
+    assert.equal(pledgesCollection.docs[0].status, "incomplete");
+    assert.equal(pledgesCollection.docs[0].stripe_subscription_id, "sub_1");
+    const [, params, options] = stripe.calls[0];
+    assert.equal(params.items[0].price_data.unit_amount, 1250);
+    assert.equal(options.idempotencyKey, `pledge-${result.pledge._id}`);
+});
+
+test("startPledge refuses a second open pledge for the same campaign", async () => {
+    const { campaign, pledgesCollection, service } = setup();
+    await service.startPledge({ user, campaign, amount: 10 });
+    const result = await service.startPledge({ user, campaign, amount: 10 });
+
+    assert.deepEqual(result, {
+        success: false,
+        code: 409,
+        message: "You already have a monthly pledge for this campaign",
+    });
+    assert.equal(pledgesCollection.docs.length, 1);
+});
+
+test("startPledge removes the pledge when Stripe fails so the donor can try again", async () => {
+    const failure = new Error("Your card was declined");
+    const { campaign, pledgesCollection, service } = setup({
+        stripeOptions: {
+            createSubscription: () => {
+                throw failure;
+            },
+        },
+    });
+
+    await assert.rejects(service.startPledge({ user, campaign, amount: 10 }), failure);
+    assert.equal(pledgesCollection.docs.length, 0);
+});
+
+test("an expired first payment cancels the pledge", async () => {
+    const { campaign, pledgesCollection, service } = setup();
+    await service.startPledge({ user, campaign, amount: 10 });
+
+    const handled = await service.handleSubscriptionEvent(
+        event("customer.subscription.updated", { id: "sub_1", status: "incomplete_expired" })
+    );
+
+    assert.equal(handled, true);
+    assert.equal(pledgesCollection.docs[0].status, "canceled");
+    assert.equal(pledgesCollection.docs[0].cancel_reason, "The first payment was not completed");
+});
+
+test("other subscription updates leave the pledge alone", async () => {
+    const { campaign, pledgesCollection, service } = setup();
+    await service.startPledge({ user, campaign, amount: 10 });
+
+    await service.handleSubscriptionEvent(event("customer.subscription.updated", { id: "sub_1", status: "past_due" }));
+
+    assert.equal(pledgesCollection.docs[0].status, "incomplete");
+});
+
+test("setPledgePaused pauses and resumes collection in Stripe", async () => {
+    const { stripe, campaign, pledgesCollection, service } = setup();
+    await service.startPledge({ user, campaign, amount: 10 });
+    pledgesCollection.docs[0].status = "active";
+
+    const paused = await service.setPledgePaused({ pledge: pledgesCollection.docs[0], paused: true });
+    assert.equal(paused.pledge.status, "paused");
+    assert.deepEqual(stripe.calls.at(-1), ["update", "sub_1", { pause_collection: { behavior: "void" } }]);
+
+    const again = await service.setPledgePaused({ pledge: paused.pledge, paused: true });
+    assert.equal(again.code, 409);
+
+    const resumed = await service.setPledgePaused({ pledge: paused.pledge, paused: false });
+    assert.equal(resumed.pledge.status, "active");
+    assert.deepEqual(stripe.calls.at(-1), ["update", "sub_1", { pause_collection: "" }]);
+});
+
+test("cancelPledge cancels the subscription once", async () => {
+    const { stripe, campaign, pledgesCollection, service } = setup();
+    await service.startPledge({ user, campaign, amount: 10 });
+
+    const canceled = await service.cancelPledge({ pledge: pledgesCollection.docs[0], reason: "Moving away" });
+    assert.equal(canceled.pledge.status, "canceled");
+    assert.equal(canceled.pledge.cancel_reason, "Moving away");
+    assert.deepEqual(stripe.calls.at(-1), ["cancel", "sub_1"]);
+
+    const again = await service.cancelPledge({ pledge: canceled.pledge });
+    assert.equal(again.code, 409);
+});
+
+test("invoice.paid records one donation per invoice, counts it and activates the pledge", async () => {
+    const { campaign, notifications, service, pledgesCollection, donationsCollection, recievedDonationCollection } =
+        setup();
+    await service.startPledge({ user, campaign, amount: 10 });
+
+    const paid = event("invoice.paid", invoice("in_1", 1000));
+    await service.handleSubscriptionEvent(paid);
+    // Stripe delivers events at least once
+    await service.handleSubscriptionEvent(paid);
+
+    assert.equal(recievedDonationCollection.docs.length, 1);
+    const [donation] = recievedDonationCollection.docs;
+    assert.equal(donation.invoice_id, "in_1");
+    assert.equal(donation.payment_intent_id, "pi_in_1");
+    assert.equal(donation.amount_donated, 10);
+    assert.equal(donation.receipt_number, 1);
+    assert.equal(donationsCollection.docs[0].total_donations, 10);
+    assert.equal(pledgesCollection.docs[0].status, "active");
+    assert.equal(pledgesCollection.docs[0].charges, 1);
+    assert.equal(notifications.filter((notification) => notification.type === "donation_received").length, 1);
+
+    await service.handleSubscriptionEvent(event("invoice.paid", invoice("in_2", 1000)));
+    assert.equal(recievedDonationCollection.docs.length, 2);
+    assert.equal(donationsCollection.docs[0].total_donations, 20);
+    assert.equal(pledgesCollection.docs[0].charges, 2);
+});
+
+test("reaching the goal stops every pledge of the campaign", async () => {
+    const { stripe, campaign, service, pledgesCollection } = setup({ campaign: { max_donation: 20 } });
+    await service.startPledge({ user, campaign, amount: 10 });
+    await service.startPledge({ user: otherUser, campaign, amount: 10 });
+
+    await service.handleSubscriptionEvent(event("invoice.paid", invoice("in_1", 1000)));
+    await service.handleSubscriptionEvent(event("invoice.paid", invoice("in_2", 1000, { subscription: "sub_2" })));
+
+    assert.deepEqual(
+        pledgesCollection.docs.map((pledge) => [pledge.status, pledge.cancel_reason]),
+        [
+            ["canceled", GOAL_REACHED_REASON],
+            ["canceled", GOAL_REACHED_REASON],
+        ]
+    );
+    assert.deepEqual(
+        stripe.calls.filter(([call]) => call === "cancel"),
+        [
+            ["cancel", "sub_1"],
+            ["cancel", "sub_2"],
+        ]
+    );
+});
+
+test("a charge beyond the goal is refunded down to the amount left", async () => {
+    const { stripe, campaign, service, donationsCollection, recievedDonationCollection } = setup({
+        campaign: { max_donation: 15 },
+    });
+    await service.startPledge({ user, campaign, amount: 10 });
+    await service.handleSubscriptionEvent(event("invoice.paid", invoice("in_1", 1000)));
+
+    const replay = event("invoice.paid", invoice("in_2", 1000));
+    await service.handleSubscriptionEvent(replay);
+    await service.handleSubscriptionEvent(replay);
+
+    assert.deepEqual(
+        stripe.calls.filter(([call]) => call === "refunds.create").map(([, params]) => params.amount),
+        [500]
+    );
+    assert.equal(recievedDonationCollection.docs[1].amount_refunded, 5);
+    assert.equal(donationsCollection.docs[0].total_donations, 15);
+});
+
+test("a charge on a paused campaign is refunded and the pledge carries on", async () => {
+    const { stripe, campaign, notifications, service, pledgesCollection, donationsCollection } = setup();
+    await service.startPledge({ user, campaign, amount: 10 });
+    pledgesCollection.docs[0].status = "active";
+    donationsCollection.docs[0].paused = true;
+
+    await service.handleSubscriptionEvent(event("invoice.paid", invoice("in_1", 1000)));
+
+    assert.deepEqual(
+        stripe.calls
+            .filter(([call]) => call === "refunds.create")
+            .map(([, params]) => [params.payment_intent, params.amount]),
+        [["pi_in_1", 1000]]
+    );
+    assert.equal(donationsCollection.docs[0].total_donations, 0);
+    assert.equal(pledgesCollection.docs[0].status, "active");
+    assert.equal(notifications.filter((notification) => notification.type === "donation_received").length, 0);
+});
+
+test("invoice.created caps the draft at the amount left to reach the goal", async () => {
+    const { stripe, campaign, service, donationsCollection } = setup({ campaign: { max_donation: 15 } });
+    await service.startPledge({ user, campaign, amount: 10 });
+    donationsCollection.docs[0].total_donations = 9;
+
+    await service.handleSubscriptionEvent(event("invoice.created", invoice("in_1", 1000, { status: "draft" })));
+
+    assert.deepEqual(stripe.calls.at(-1), [
+        "invoiceItems.create",
+        {
+            customer: "cus_1",
+            invoice: "in_1",
+            currency: "usd",
+            amount: -400,
+            description: "Capped at the amount left to reach the goal",
+        },
+    ]);
+});
+
+test("invoice.created skips the month for a paused campaign", async () => {
+    const { stripe, campaign, service, pledgesCollection, donationsCollection } = setup();
+    await service.startPledge({ user, campaign, amount: 10 });
+    donationsCollection.docs[0].paused = true;
+
+    await service.handleSubscriptionEvent(event("invoice.created", invoice("in_1", 1000, { status: "draft" })));
+
+    assert.deepEqual(stripe.calls.at(-1), ["invoices.del", "in_1"]);
+    assert.equal(pledgesCollection.docs[0].status, "incomplete");
+});
+
+test("invoice.created ends pledges of an expired campaign", async () => {
+    const { stripe, campaign, notifications, service, pledgesCollection, donationsCollection } = setup();
+    await service.startPledge({ user, campaign, amount: 10 });
+    donationsCollection.docs[0].last_date = "2020-01-01";
+
+    await service.handleSubscriptionEvent(event("invoice.created", invoice("in_1", 1000, { status: "draft" })));
+
+    assert.equal(pledgesCollection.docs[0].status, "canceled");
+    assert.equal(pledgesCollection.docs[0].cancel_reason, "The campaign has closed");
+    assert.deepEqual(stripe.calls.at(-1), ["cancel", "sub_1"]);
+    assert.equal(notifications.at(-1).type, "pledge_stopped");
+});
+
+test("a one-off gift that funds the campaign stops its pledges", async () => {
+    const { campaign, notify, service, pledgesCollection, ...collections } = setup({ campaign: { max_donation: 20 } });
+    await service.startPledge({ user, campaign, amount: 10 });
+    const record = recordPaymentIntent({
+        donationsCollection: collections.donationsCollection,
+        recievedDonationCollection: collections.recievedDonationCollection,
+        usersCollection: collections.usersCollection,
+        countersCollection: collections.countersCollection,
+        notify,
+        onCampaignFunded: (campaignId) => service.stopCampaignPledges({ campaignId, reason: GOAL_REACHED_REASON }),
+    });
+
+    await record(
+        {
+            id: "pi_one_off",
+            amount: 2000,
+            amount_received: 2000,
+            currency: "usd",
+            metadata: { campaign_id: campaign._id.toString(), donor_email: otherUser.email },
+        },
+        "succeeded"
+    );
+
+    assert.equal(pledgesCollection.docs[0].status, "canceled");
+    assert.equal(pledgesCollection.docs[0].cancel_reason, GOAL_REACHED_REASON);
+});
@@ -0,0 +1,258 @@
+const { normalizeAdoptionStatus } = require("./adoption__workflow.js");
+const { rangeMatch } = require("./date__range.js");
+const {
+    DEFAULT_CURRENCY,
+    getMinorUnitDigits,
+    toMinorUnits,
+    fromMinorUnits,
+    amountMinorExpression,
+    refundedMinorExpression,
+    getReportingCurrency,
+    getRateTable,
+} = require("./currency__units.js");
+
+// Admin analytics. Every figure is computed by a MongoDB aggregation; only the final reshaping happens here.
+// All endpoints take an optional ?from=&to= date range (inclusive).
+
+const MAX_TOP = 50;
+
+// "2025-07" style month of an ISO-string date field
+const monthOf = (field) => ({ $dateToString: { format: "%Y-%m", date: { $toDate: field } } });
+
+// Median of an already sorted array expression
+const medianOf = (sorted) => ({
+    $let: {
+        vars: { size: { $size: sorted } },
+        in: {
+            $cond: [
+                { $eq: ["$$size", 0] },
+                null,
+                {
+                    $cond: [
+                        { $eq: [{ $mod: ["$$size", 2] }, 1] },
+                        { $arrayElemAt: [sorted, { $floor: { $divide: ["$$size", 2] } }] },
+                        {
+                            $avg: [
+                                { $arrayElemAt: [sorted, { $subtract: [{ $divide: ["$$size", 2] }, 1] }] },
+                                { $arrayElemAt: [sorted, { $divide: ["$$size", 2] }] },
+                            ],
+                        },
+                    ],
+                },
+            ],
+        },
+    },
+});
+
+const getTopCount = (query) => Math.min(Number.parseInt(query.top) || 10, MAX_TOP);
+
+// Requests made in the range by status, and the median hours from request to approval / rejection
+const getAdoptionFunnel = async ({ adoptRequestsCollection, range }) => {
+    const [result] = await adoptRequestsCollection
+        .aggregate([
+            { $match: rangeMatch("requested_at", range) },
+            {
+                $facet: {
+                    statuses: [{ $group: { _id: "$adoption_status", count: { $sum: 1 } } }],
+                    decisions: [
+                        {
+                            $addFields: {
+                                decision: {
+                                    $first: {
+                                        $filter: {
+                                            input: { $ifNull: ["$history", []] },
+                                            cond: { $in: ["$$this.to", ["approved", "rejected"]] },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                        { $match: { "decision.at": { $ne: null }, requested_at: { $ne: null } } },
+                        {
+                            $project: {
+                                hours: {
+                                    $divide: [
+                                        {
+                                            $dateDiff: {
+                                                startDate: { $toDate: "$requested_at" },
+                                                endDate: { $toDate: "$decision.at" },
+                                                unit: "minute",
+                                            },
+                                        },
+                                        60,
+                                    ],
+                                },
+                            },
+                        },
+                        { $sort: { hours: 1 } },
+                        { $group: { _id: null, hours: { $push: "$hours" } } },
+                        { $project: { _id: 0, decided: { $size: "$hours" }, median: medianOf("$hours") } },
+                    ],
+                },
+            },
+        ])
+        .toArray();
+
+    // Older requests still carry the free-text statuses
+    const byStatus = {};
+    let requests = 0;
+    for (const item of result.statuses) {
+        const status = normalizeAdoptionStatus(item._id) || "pending";
+        byStatus[status] = (byStatus[status] || 0) + item.count;
+        requests += item.count;
+    }
+    const decisions = result.decisions[0];
+    return {
+        requests,
+        approved: byStatus.approved || 0,
+        rejected: byStatus.rejected || 0,
+        by_status: byStatus,
+        decided: decisions?.decided || 0,
+        median_hours_to_decision: decisions?.median == null ? null : Math.round(decisions.median * 10) / 10,
+    };
+};
+
+// Pets listed (by created_at) and adopted (by adopted_at) per category per month
+const getPetsByCategory = async ({ petCollection, range }) => {
+    const byCategoryMonth = (dateField) => ({
+        $group: { _id: { category: "$category", month: monthOf(dateField) }, count: { $sum: 1 } },
+    });
+    const [result] = await petCollection
+        .aggregate([
+            {
+                $facet: {
+                    listed: [
+                        { $match: rangeMatch("created_at", range) },
+                        byCategoryMonth("$created_at"),
+                        { $sort: { "_id.month": 1, "_id.category": 1 } },
+                    ],
+                    adopted: [
+                        { $match: { adopted: true, adopted_at: { $ne: null }, ...rangeMatch("adopted_at", range) } },
+                        byCategoryMonth("$adopted_at"),
+                        { $sort: { "_id.month": 1, "_id.category": 1 } },
+                    ],
+                },
+            },
+        ])
+        .toArray();
+
+    const flatten = (items) => items.map((item) => ({ ...item._id, count: item.count }));
+    return { listed: flatten(result.listed), adopted: flatten(result.adopted) };
+};
+
+// Net donation amount in the reporting currency, or null for currencies without a rate.
+// Built as one $switch over the rate table so top lists can be sorted inside MongoDB.
+const reportingExpression = (rates) => ({
+    $switch: {
+        branches: Object.entries(rates).map(([currency, rate]) => ({
+            case: { $eq: ["$currency", currency] },
+            then: { $multiply: ["$net_minor", rate / 10 ** getMinorUnitDigits(currency)] },
+        })),
+        default: null,
+    },
+});
+
+const roundReporting = (amount) => fromMinorUnits(toMinorUnits(amount, getReportingCurrency()), getReportingCurrency());
+
+const byCurrency = (items) =>
+    items.map((item) => ({
+        currency: item.currency,
+        volume: fromMinorUnits(item.volume_minor, item.currency),
+        count: item.count,
+    }));
+
+// Donation volume (net of refunds) and count per month, with the top campaigns and donors. Amounts are
+// reported per currency; reporting_volume adds up everything CURRENCY_RATES can convert.
+const getDonationStats = async ({ recievedDonationCollection, range, top }) => {
+    const rates = getRateTable();
+    const totals = {
+        volume_minor: { $sum: "$net_minor" },
+        reporting_volume: { $sum: "$reporting" },
+        count: { $sum: 1 },
+    };
+    // Group by key and currency first, then fold the currencies of each key into by_currency
+    const perCurrency = (key, extra = {}) => [
+        { $group: { _id: { key, currency: "$currency" }, ...extra, ...totals } },
+        {
+            $group: {
+                _id: "$_id.key",
+                ...Object.fromEntries(Object.keys(extra).map((field) => [field, { $first: `$${field}` }])),
+                by_currency: {
+                    $push: { currency: "$_id.currency", volume_minor: "$volume_minor", count: "$count" },
+                },
+                reporting_volume: { $sum: "$reporting_volume" },
+                count: { $sum: "$count" },
+            },
+        },
+    ];
+    const [result] = await recievedDonationCollection
+        .aggregate([
+            { $match: { payment_status: { $ne: "failed" }, ...rangeMatch("donated_at", range) } },
+            {
+                $addFields: {
+                    currency: { $toLower: { $ifNull: ["$currency", DEFAULT_CURRENCY] } },
+                    net_minor: { $subtract: [amountMinorExpression, refundedMinorExpression] },
+                },
+            },
+            { $addFields: { reporting: reportingExpression(rates) } },
+            {
+                $facet: {
+                    monthly: [...perCurrency(monthOf("$donated_at")), { $sort: { _id: 1 } }],
+                    topCampaigns: [
+                        ...perCurrency("$campaign_id", { pet_name: { $first: "$pet_name" } }),
+                        { $sort: { reporting_volume: -1, _id: 1 } },
+                        { $limit: top },
+                    ],
+                    topDonors: [
+                        { $match: { email: { $ne: null } } },
+                        ...perCurrency("$email", { name: { $first: "$user_name" } }),
+                        { $sort: { reporting_volume: -1, _id: 1 } },
+                        { $limit: top },
+                    ],
+                    overall: [
+                        { $group: { _id: "$currency", ...totals } },
+                        { $project: { _id: 0, currency: "$_id", volume_minor: 1, reporting_volume: 1, count: 1 } },
+                        { $sort: { currency: 1 } },
+                    ],
+                },
+            },
+        ])
+        .toArray();
+
+    const reshape = ({ by_currency, reporting_volume, ...item }) => ({
+        ...item,
+        by_currency: byCurrency(by_currency),
+        reporting_volume: roundReporting(reporting_volume),
+    });
+    return {
+        reporting_currency: getReportingCurrency(),
+        reporting_volume: roundReporting(result.overall.reduce((sum, item) => sum + item.reporting_volume, 0)),
+        unconverted_currencies: result.overall.map((item) => item.currency).filter((currency) => !rates[currency]),
+        count: result.overall.reduce((sum, item) => sum + item.count, 0),
+        by_currency: byCurrency(result.overall),
+        monthly: result.monthly.map(({ _id, ...item }) => ({ month: _id, ...reshape(item) })),
+        top_campaigns: result.topCampaigns.map(({ _id, ...item }) => ({ campaign_id: _id, ...reshape(item) })),
+        top_donors: result.topDonors.map(({ _id, ...item }) => ({ email: _id, ...reshape(item) })),
+    };
+};
+
+// New users per month
+const getSignups = async ({ usersCollection, range }) => {
+    const months = await usersCollection
+        .aggregate([
+            { $match: { created_at: { $ne: null }, ...rangeMatch("created_at", range) } },
+            { $group: { _id: monthOf("$created_at"), count: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+        ])
+        .toArray();
+    const monthly = months.map((item) => ({ month: item._id, count: item.count }));
+    return { total: monthly.reduce((sum, item) => sum + item.count, 0), monthly };
+};
+
+module.exports = {
+    getTopCount,
+    getAdoptionFunnel,
+    getPetsByCategory,
+    getDonationStats,
+    getSignups,
+};
@@ -0,0 +1,150 @@
+const { noopNotify } = require("./notification__center.js");
+const { normalizeAdoptionStatus } = require("./adoption__workflow.js");
+
+// Conversations on adoption requests. Only the adopter, the pet owner and admins can read or post in a
+// request's thread. Each message keeps its read receipts in read_by ([{ email, read_at }]) and any abuse
+// reports in reports; a reported message waits with report_status "open" until an admin moderates it.
+
+// Once a request ended this way only admins can still post in its thread
+const CLOSED_THREAD_STATUSES = ["rejected", "withdrawn", "cancelled"];
+
+// Moderation action -> message status it leaves behind (dismiss keeps the message as it is)
+const MESSAGE_MODERATION_ACTIONS = { hide: "hidden", restore: "visible", dismiss: null };
+
+// The adopter and the pet owner; admins can read every thread without taking part in it
+const threadParticipants = (request) => [request.user_email, request.added_by?.email].filter(Boolean);
+
+// What the viewer gets to see of a message: reports and moderation notes are for admins only, and a
+// hidden message keeps its place in the thread without its text
+const presentMessage = (message, role) => {
+    if (role === "admin") return message;
+    const { reports, report_status, last_reported_at, moderation_history, ...visible } = message;
+    return message.status === "hidden" ? { ...visible, body: null } : visible;
+};
+
+// Post a message as sender ({ email, role }) and tell the other participants.
+// Resolves to { success: true, adoptionMessage } or { success: false, code, message }.
+const postMessage = async ({
+    messagesCollection,
+    adoptRequestsCollection,
+    request,
+    sender,
+    body,
+    notify = noopNotify,
+}) => {
+    const status = normalizeAdoptionStatus(request.adoption_status);
+    if (sender.role !== "admin" && CLOSED_THREAD_STATUSES.includes(status)) {
+        return { success: false, code: 409, message: `This adoption request was ${status}` };
+    }
+
+    const now = new Date().toISOString();
+    const message = {
+        request_id: request._id,
+        pet_id: request.pet_id,
+        sender: sender.email,
+        sender_role: sender.role,
+        body,
+        status: "visible",
+        // The sender has obviously read their own message
+        read_by: [{ email: sender.email, read_at: now }],
+        created_at: now,
+    };
+    const result = await messagesCollection.insertOne(message);
+    await adoptRequestsCollection.updateOne({ _id: request._id }, { $set: { last_message_at: now } });
+
+    for (const recipient of threadParticipants(request)) {
+        await notify({
+            recipient,
+            type: "adoption_message",
+            title: `New message about ${request.pet_name}`,
+            message: body.length > 140 ? `${body.slice(0, 137)}...` : body,
+            link: recipient === request.user_email ? "/dashboard/my-adoption-requests" : "/dashboard/adoption-requests",
+            data: { request_id: request._id.toString(), message_id: result.insertedId.toString() },
+            actor: sender.email,
+        });
+    }
+    return { success: true, adoptionMessage: { _id: result.insertedId, ...message } };
+};
+
+// Add a read receipt for email to every message of the thread it has not read yet
+const markThreadRead = async ({ messagesCollection, requestId, email }) => {
+    const readAt = new Date().toISOString();
+    const result = await messagesCollection.updateMany(
+        { request_id: requestId, "read_by.email": { $ne: email } },
+        { $push: { read_by: { email, read_at: readAt } } }
+    );
+    return { read: result.modifiedCount, read_at: readAt };
+};
+
+const countUnread = (messagesCollection, requestId, email) =>
+    messagesCollection.countDocuments({ request_id: requestId, "read_by.email": { $ne: email } });
+
+// Report a message to the admins; each participant can report a message once.
+// Resolves to { success: true, adoptionMessage } or { success: false, code, message }.
+const reportMessage = async ({ messagesCollection, message, reporter, reason }) => {
+    if (message.sender === reporter.email) {
+        return { success: false, code: 400, message: "You cannot report your own message" };
+    }
+    if (message.status === "hidden") {
+        return { success: false, code: 409, message: "This message was already removed" };
+    }
+    if ((message.reports || []).some((report) => report.reporter === reporter.email)) {
+        return { success: false, code: 409, message: "You already reported this message" };
+    }
+
+    const now = new Date().toISOString();
+    await messagesCollection.updateOne(
+        { _id: message._id },
+        {
+            $push: { reports: { reporter: reporter.email, reason, created_at: now } },
+            // A new report reopens a message whose earlier reports were dismissed
+            $set: { report_status: "open", last_reported_at: now },
+        }
+    );
+    const updated = await messagesCollection.findOne({ _id: message._id });
+    return { success: true, adoptionMessage: updated };
+};
+
+// Hide, restore or dismiss the reports of a message; every action resolves its open reports and is kept
+// in moderation_history. Resolves to { success: true, adoptionMessage } or { success: false, code, message }.
+const moderateMessage = async ({ messagesCollection, message, action, reason, actor }) => {
+    if (!MESSAGE_MODERATION_ACTIONS.hasOwnProperty(action)) {
+        return { success: false, code: 400, message: `Unknown moderation action "${action}"` };
+    }
+    const status = MESSAGE_MODERATION_ACTIONS[action] || message.status;
+    if (action === "dismiss" ? message.report_status !== "open" : message.status === status) {
+        return {
+            success: false,
+            code: 409,
+            message: action === "dismiss" ? "Message has no open reports" : `Message is already ${status}`,
+        };
+    }
+
+    const now = new Date().toISOString();
+    const entry = { action, reason: reason || null, actor: actor.email, at: now };
+    await messagesCollection.updateOne(
+        { _id: message._id },
+        {
+            $set: {
+                status,
+                report_status: message.reports?.length ? "resolved" : null,
+                moderated_by: actor.email,
+                moderated_at: now,
+            },
+            $push: { moderation_history: entry },
+        }
+    );
+    const updated = await messagesCollection.findOne({ _id: message._id });
+    return { success: true, adoptionMessage: updated };
+};
+
+module.exports = {
+    CLOSED_THREAD_STATUSES,
+    MESSAGE_MODERATION_ACTIONS,
+    presentMessage,
+    postMessage,
+    markThreadRead,
+    countUnread,
+    reportMessage,
+    moderateMessage,
+};
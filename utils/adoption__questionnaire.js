@@ -0,0 +1,260 @@
+const { validate } = require("./validation__body.js");
+const { normalizeCategory } = require("./pet__search.js");
+
+// Adoption questionnaires. A pet can carry its own questionnaire; otherwise the admins' default for its
+// category applies, and failing that DEFAULT_QUESTIONNAIRE. Adoption requests are checked against it and
+// keep their answers as [{ id, label, type, value }] plus a screening { score, disqualified, disqualified_by }.
+//
+// Question: { id, label, type, required, help, options, min, max, weight, preferred, disqualify }
+// - options: the choices of a "choice" / "multi_choice" question
+// - preferred: answers that earn the question's weight (true/false, a list of options or { min, max });
+//   without it any answer earns it
+// - disqualify: answers that rule the applicant out (true/false, a list of options or { min, max } outside
+//   which a number disqualifies)
+
+const QUESTION_TYPES = ["text", "number", "boolean", "choice", "multi_choice"];
+const CHOICE_TYPES = ["choice", "multi_choice"];
+const MAX_QUESTIONS = 30;
+const MAX_OPTIONS = 20;
+const QUESTION_ID_REGEX = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Nothing is required here, so clients written before questionnaires can still send requests
+const DEFAULT_QUESTIONNAIRE = {
+    title: "Adoption application",
+    questions: [
+        {
+            id: "home_type",
+            label: "What kind of home do you live in?",
+            type: "choice",
+            options: ["house with yard", "house", "apartment", "shared housing"],
+            weight: 1,
+        },
+        {
+            id: "landlord_allows_pets",
+            label: "If you rent, does your landlord allow pets?",
+            type: "choice",
+            options: ["yes", "no", "I own my home"],
+            preferred: ["yes", "I own my home"],
+            disqualify: ["no"],
+            weight: 2,
+        },
+        {
+            id: "other_pets",
+            label: "Which other pets live with you?",
+            type: "multi_choice",
+            options: ["dogs", "cats", "birds", "small animals", "none"],
+            weight: 1,
+        },
+        {
+            id: "experience",
+            label: "Have you cared for a pet before?",
+            type: "boolean",
+            preferred: true,
+            weight: 2,
+        },
+        {
+            id: "hours_alone",
+            label: "How many hours a day would the pet be alone?",
+            type: "number",
+            min: 0,
+            max: 24,
+            preferred: { min: 0, max: 6 },
+            weight: 2,
+        },
+        { id: "why_adopt", label: "Why would you like to adopt this pet?", type: "text", weight: 1 },
+    ],
+};
+
+const questionSchema = {
+    id: { type: "string", required: true, minLength: 1, maxLength: 40 },
+    label: { type: "string", required: true, minLength: 1, maxLength: 200 },
+    type: { type: "string", required: true, enum: QUESTION_TYPES },
+    required: { type: "boolean" },
+    help: { type: "string", maxLength: 300 },
+    options: { type: "array", items: { type: "string", minLength: 1, maxLength: 80 }, maxItems: MAX_OPTIONS },
+    min: { type: "number" },
+    max: { type: "number" },
+    weight: { type: "integer", min: 0, max: 10 },
+};
+
+// Check a preferred/disqualify value against the question's type; returns { value } or { error }
+const checkAnswerSet = (question, raw) => {
+    if (question.type === "text") return { error: "is not supported for text questions" };
+    if (question.type === "boolean") {
+        return typeof raw === "boolean" ? { value: raw } : { error: "must be true or false" };
+    }
+    if (question.type === "number") {
+        const { value, errors } = validate({ min: { type: "number" }, max: { type: "number" } }, raw);
+        if (errors.length || (value.min === undefined && value.max === undefined)) {
+            return { error: "must be { min, max } with at least one number" };
+        }
+        return { value };
+    }
+    const options = Array.isArray(raw) ? raw : [raw];
+    const unknown = options.find((option) => !question.options.includes(option));
+    if (unknown !== undefined) return { error: `has "${unknown}", which is not one of the options` };
+    return { value: options };
+};
+
+// Validate a questionnaire sent by an owner or admin. Returns { value: { title, questions }, errors } with
+// errors shaped like validateBody's ({ field, message }).
+const parseQuestionnaire = (body) => {
+    const input = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+    const { value: head, errors } = validate({ title: { type: "string", maxLength: 120 } }, input);
+    if (!Array.isArray(input.questions) || !input.questions.length) {
+        errors.push({ field: "questions", message: "must be a list with at least one question" });
+        return { value: null, errors };
+    }
+    if (input.questions.length > MAX_QUESTIONS) {
+        errors.push({ field: "questions", message: `must have at most ${MAX_QUESTIONS} items` });
+        return { value: null, errors };
+    }
+
+    const questions = [];
+    const ids = new Set();
+    input.questions.forEach((raw, index) => {
+        const at = (field) => `questions[${index}]${field ? `.${field}` : ""}`;
+        const { value: question, errors: questionErrors } = validate(questionSchema, raw);
+        errors.push(...questionErrors.map((error) => ({ ...error, field: at(error.field) })));
+        if (questionErrors.length) return;
+
+        if (!QUESTION_ID_REGEX.test(question.id)) {
+            errors.push({ field: at("id"), message: "must be lowercase letters, digits and underscores" });
+        } else if (question.id in Object.prototype) {
+            errors.push({ field: at("id"), message: `"${question.id}" is a reserved name` });
+        } else if (ids.has(question.id)) {
+            errors.push({ field: at("id"), message: `"${question.id}" is used by another question` });
+        }
+        ids.add(question.id);
+
+        if (CHOICE_TYPES.includes(question.type)) {
+            if (!question.options?.length) errors.push({ field: at("options"), message: "is required for choices" });
+            else if (new Set(question.options).size !== question.options.length) {
+                errors.push({ field: at("options"), message: "must not repeat an option" });
+            }
+        } else {
+            delete question.options;
+        }
+        if (question.type !== "number") {
+            delete question.min;
+            delete question.max;
+        } else if (question.min !== undefined && question.max !== undefined && question.min > question.max) {
+            errors.push({ field: at("max"), message: "must be at least min" });
+        }
+
+        // Choice questions without options were already reported above
+        const answerable = !CHOICE_TYPES.includes(question.type) || question.options?.length;
+        for (const field of ["preferred", "disqualify"]) {
+            if (raw[field] === undefined || raw[field] === null || !answerable) continue;
+            const checked = checkAnswerSet(question, raw[field]);
+            if (checked.error) errors.push({ field: at(field), message: checked.error });
+            else question[field] = checked.value;
+        }
+        question.required = question.required === true;
+        question.weight = question.weight ?? 1;
+        questions.push(question);
+    });
+
+    return { value: { title: head.title || DEFAULT_QUESTIONNAIRE.title, questions }, errors };
+};
+
+// The questionnaire that applies to a pet: { source: "pet" | "category" | "default", title, questions, ... }
+const resolveQuestionnaire = async ({ questionnairesCollection, pet }) => {
+    if (pet.questionnaire?.questions?.length) return { source: "pet", ...pet.questionnaire };
+    const category = normalizeCategory(pet.category);
+    const categoryDefault = category ? await questionnairesCollection.findOne({ category }) : null;
+    if (categoryDefault) {
+        const { _id, ...questionnaire } = categoryDefault;
+        return { source: "category", ...questionnaire };
+    }
+    return { source: "default", ...DEFAULT_QUESTIONNAIRE };
+};
+
+// What applicants get to see: how answers are scored stays with the owner and the admins
+const presentQuestionnaire = (questionnaire) => ({
+    ...questionnaire,
+    questions: questionnaire.questions.map(({ preferred, disqualify, weight, ...question }) => question),
+});
+
+// Validator rule an answer to the question must satisfy
+const answerRule = (question) => {
+    const required = question.required;
+    switch (question.type) {
+        case "text":
+            return { type: "string", required, maxLength: 2000 };
+        case "number":
+            return { type: "number", required, min: question.min, max: question.max };
+        case "boolean":
+            return { type: "boolean", required };
+        case "choice":
+            return { type: "string", required, enum: question.options };
+        case "multi_choice":
+            return {
+                type: "array",
+                required,
+                items: { type: "string", enum: question.options },
+                maxItems: question.options.length,
+            };
+    }
+};
+
+// Whether an answer falls in a preferred/disqualify set
+const matches = (question, set, answer) => {
+    if (question.type === "boolean") return answer === set;
+    if (question.type === "number") {
+        return (set.min === undefined || answer >= set.min) && (set.max === undefined || answer <= set.max);
+    }
+    const picked = Array.isArray(answer) ? answer : [answer];
+    return picked.some((option) => set.includes(option));
+};
+
+// Check answers ({ [question id]: answer }) against a questionnaire. Returns { errors, answers, screening }:
+// the score is the share of question weight earned (0-100); disqualifying answers are listed, not rejected,
+// so owners can still decide.
+const checkAnswers = (questionnaire, input = {}) => {
+    const schema = Object.fromEntries(questionnaire.questions.map((question) => [question.id, answerRule(question)]));
+    const { value, errors } = validate(schema, input);
+
+    const answers = [];
+    const disqualifiedBy = [];
+    let earned = 0;
+    let possible = 0;
+    for (const question of questionnaire.questions) {
+        const answer = value[question.id];
+        const answered = answer !== undefined && !(Array.isArray(answer) && !answer.length);
+        possible += question.weight;
+        if (!answered) continue;
+
+        answers.push({ id: question.id, label: question.label, type: question.type, value: answer });
+        if (question.preferred === undefined || matches(question, question.preferred, answer)) {
+            earned += question.weight;
+        }
+        if (question.disqualify === undefined) continue;
+        // Numbers disqualify outside the allowed range, everything else on a listed answer
+        const disqualified =
+            question.type === "number"
+                ? !matches(question, question.disqualify, answer)
+                : matches(question, question.disqualify, answer);
+        if (disqualified) disqualifiedBy.push({ id: question.id, label: question.label, value: answer });
+    }
+
+    return {
+        errors: errors.map((error) => ({ ...error, field: `answers.${error.field}` })),
+        answers,
+        screening: {
+            score: possible ? Math.round((earned / possible) * 100) : null,
+            disqualified: disqualifiedBy.length > 0,
+            disqualified_by: disqualifiedBy,
+            questionnaire_source: questionnaire.source,
+        },
+    };
+};
+
+module.exports = {
+    QUESTION_TYPES,
+    DEFAULT_QUESTIONNAIRE,
+    parseQuestionnaire,
+    resolveQuestionnaire,
+    presentQuestionnaire,
+    checkAnswers,
+};
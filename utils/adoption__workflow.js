@@ -0,0 +1,253 @@
+const { ObjectId } = require("mongodb");
+const { noopNotify } = require("./notification__center.js");
+
+// Adoption request workflow: pending -> under_review -> approved / rejected, withdrawn by the adopter, or
+// cancelled by the system when the pet listing is removed
+const ADOPTION_TRANSITIONS = {
+    pending: ["under_review", "rejected", "withdrawn", "cancelled"],
+    under_review: ["approved", "rejected", "withdrawn", "cancelled"],
+    approved: [],
+    rejected: [],
+    withdrawn: [],
+    cancelled: [],
+};
+
+// Statuses that still compete for the pet
+const OPEN_ADOPTION_STATUSES = ["pending", "under_review"];
+
+// Which statuses each kind of actor is allowed to move a request into
+const ROLE_TRANSITIONS = {
+    adopter: ["withdrawn"],
+    owner: ["under_review", "approved", "rejected"],
+    admin: ["under_review", "approved", "rejected", "withdrawn"],
+    system: ["rejected", "cancelled"],
+};
+
+// Older clients and records still use the free-text statuses
+const LEGACY_STATUSES = { accepted: "approved", accept: "approved", reject: "rejected", review: "under_review" };
+
+const normalizeAdoptionStatus = (status) => {
+    const value = status?.toString().trim().toLowerCase();
+    return LEGACY_STATUSES[value] || value;
+};
+
+const historyEntry = ({ from, to, actor, reason }) => ({
+    from,
+    to,
+    actor: actor.email || null,
+    actor_role: actor.role,
+    reason: reason || null,
+    at: new Date().toISOString(),
+});
+
+// Tell the adopter (or, when the adopter withdrew, the pet owner) that a request changed status
+const notifyStatusChange = (notify, request, status, actor, reason) => {
+    const toOwner = status === "withdrawn";
+    // A cancelled request was not turned down by anyone, it simply cannot go on
+    const outcome = status === "cancelled" ? "was cancelled" : `is now ${status}`;
+    const message = toOwner
+        ? `${request.user_name || request.user_email} withdrew their request for ${request.pet_name}`
+        : `Your adoption request for ${request.pet_name} ${outcome}`;
+    return notify({
+        recipient: toOwner ? request.added_by?.email : request.user_email,
+        type: toOwner ? "adoption_request" : "adoption_status",
+        title: toOwner ? `Adoption request for ${request.pet_name} withdrawn` : `Adoption request ${status}`,
+        message: reason ? `${message}: ${reason}` : message,
+        link: toOwner ? "/dashboard/adoption-requests" : "/dashboard/my-adoption-requests",
+        data: { request_id: request._id.toString(), pet_id: request.pet_id, status },
+        actor: actor.email,
+    });
+};
+
+// Move open requests for a pet (except one) to status, keeping each request's own "from" in its history
+const closeOpenRequests = async ({
+    adoptRequestsCollection,
+    petId,
+    exceptId = null,
+    status,
+    actor,
+    reason,
+    notify = noopNotify,
+}) => {
+    const filter = { pet_id: petId.toString(), adoption_status: { $in: OPEN_ADOPTION_STATUSES } };
+    if (exceptId) filter._id = { $ne: exceptId };
+    const now = new Date().toISOString();
+
+    // Remember who is affected, the update below does not return the documents
+    const affected = await adoptRequestsCollection
+        .find(filter, { projection: { user_email: 1, pet_id: 1, pet_name: 1 } })
+        .toArray();
+
+    const result = await adoptRequestsCollection.updateMany(filter, [
+        {
+            $set: {
+                history: {
+                    $concatArrays: [
+                        { $ifNull: ["$history", []] },
+                        [
+                            {
+                                from: "$adoption_status",
+                                to: status,
+                                actor: actor.email || null,
+                                actor_role: actor.role,
+                                // Stored as given, never evaluated as an expression
+                                reason: { $literal: reason ?? null },
+                                at: now,
+                            },
+                        ],
+                    ],
+                },
+                adoption_status: status,
+                adopted: false,
+                last_updated: now,
+            },
+        },
+    ]);
+    for (const request of affected) {
+        await notifyStatusChange(notify, request, status, actor, reason);
+    }
+    return result;
+};
+
+// The pet went to someone else: its other open requests are rejected
+const rejectOpenRequests = (options) => closeOpenRequests({ ...options, status: "rejected" });
+
+// The pet listing is gone: its open requests are cancelled, not turned down
+const cancelOpenRequests = (options) => closeOpenRequests({ ...options, status: "cancelled" });
+
+// Apply one status change to an adoption request.
+// actor: { email, role } where role is adopter / owner / admin / system.
+// Resolves to { success: true, request } or { success: false, code, message }.
+const transitionAdoptionRequest = async ({
+    adoptRequestsCollection,
+    petCollection,
+    requestId,
+    to,
+    actor,
+    reason,
+    notify = noopNotify,
+}) => {
+    const status = normalizeAdoptionStatus(to);
+    if (!ADOPTION_TRANSITIONS[status]) {
+        return { success: false, code: 400, message: `Unknown adoption status "${to}"` };
+    }
+
+    const request = await adoptRequestsCollection.findOne({ _id: new ObjectId(requestId) });
+    if (!request) {
+        return { success: false, code: 404, message: "Adoption request not found" };
+    }
+
+    const from = normalizeAdoptionStatus(request.adoption_status) || "pending";
+    if (!ADOPTION_TRANSITIONS[from]?.includes(status)) {
+        return { success: false, code: 409, message: `Cannot move an adoption request from ${from} to ${status}` };
+    }
+    if (!ROLE_TRANSITIONS[actor.role]?.includes(status)) {
+        return { success: false, code: 403, message: `You are not allowed to mark this request as ${status}` };
+    }
+
+    const now = new Date().toISOString();
+    const petId = ObjectId.isValid(request.pet_id) ? new ObjectId(request.pet_id) : null;
+    const adoptedFields = { adopted: true, adopted_by: request.user_email, adopted_at: now };
+    if (status === "approved") {
+        if (!petId) {
+            return { success: false, code: 409, message: "Adoption request is not linked to a valid pet" };
+        }
+        // Claim the pet first, so two requests for the same pet can never both be approved
+        const claim = await petCollection.updateOne(
+            { _id: petId, adopted: { $ne: true }, deleted_at: null },
+            { $set: { ...adoptedFields, last_updated: now } }
+        );
+        if (claim.matchedCount === 0) {
+            return { success: false, code: 409, message: "This pet is no longer available for adoption" };
+        }
+    }
+
+    // Only apply the change if nobody moved the request in the meantime
+    const result = await adoptRequestsCollection.updateOne(
+        { _id: request._id, adoption_status: request.adoption_status },
+        {
+            $set: { adoption_status: status, adopted: status === "approved", last_updated: now },
+            $push: { history: historyEntry({ from, to: status, actor, reason }) },
+        }
+    );
+    if (result.matchedCount === 0) {
+        if (status === "approved") {
+            // Give back the pet claimed above
+            await petCollection.updateOne(
+                { _id: petId, ...adoptedFields },
+                { $set: { adopted: false, last_updated: now }, $unset: { adopted_by: "", adopted_at: "" } }
+            );
+        }
+        return { success: false, code: 409, message: "Adoption request was changed by someone else, please retry" };
+    }
+
+    if (status === "approved") {
+        await rejectOpenRequests({
+            adoptRequestsCollection,
+            petId,
+            exceptId: request._id,
+            actor: { email: actor.email, role: "system" },
+            reason: "Another adoption request for this pet was approved",
+            notify,
+        });
+    }
+    await notifyStatusChange(notify, request, status, actor, reason);
+
+    const updated = await adoptRequestsCollection.findOne({ _id: request._id });
+    return { success: true, request: updated };
+};
+
+// Mark a pet adopted (closing its open requests) or available again without going through a request.
+// Resolves to { success: true, petUpdate, adoptionRequestUpdate } or { success: false, code, message }.
+const setPetAdopted = async ({
+    adoptRequestsCollection,
+    petCollection,
+    petFilter,
+    adopted,
+    actor,
+    reason,
+    notify = noopNotify,
+}) => {
+    const pet = await petCollection.findOne(petFilter);
+    if (!pet) {
+        return { success: false, code: 404, message: "Pet not found or not authorized" };
+    }
+
+    const now = new Date().toISOString();
+    if (!adopted) {
+        // A pet with an approved request stays adopted; that decision is final
+        const approved = await adoptRequestsCollection.findOne({ pet_id: pet._id.toString(), adoption_status: "approved" });
+        if (approved) {
+            return { success: false, code: 409, message: "This pet has an approved adoption request" };
+        }
+        const petUpdate = await petCollection.updateOne(
+            { _id: pet._id },
+            { $set: { adopted: false, last_updated: now }, $unset: { adopted_by: "", adopted_at: "" } }
+        );
+        return { success: true, petUpdate, adoptionRequestUpdate: null };
+    }
+
+    const petUpdate = await petCollection.updateOne(
+        { _id: pet._id },
+        { $set: { adopted: true, adopted_at: pet.adopted_at || now, last_updated: now } }
+    );
+    const adoptionRequestUpdate = await rejectOpenRequests({
+        adoptRequestsCollection,
+        petId: pet._id,
+        actor,
+        reason: reason || "This pet has been adopted",
+        notify,
+    });
+    return { success: true, petUpdate, adoptionRequestUpdate };
+};
+
+module.exports = {
+    ADOPTION_TRANSITIONS,
+    OPEN_ADOPTION_STATUSES,
+    normalizeAdoptionStatus,
+    historyEntry,
+    rejectOpenRequests,
+    cancelOpenRequests,
+    transitionAdoptionRequest,
+    setPetAdopted,
+};
@@ -0,0 +1,41 @@
+// Audit log of admin and ownership-sensitive actions. Entries are only ever inserted;
+// there is deliberately no API to edit or delete them.
+
+// Field-level diff between two versions of a document: { field: { before, after } }
+const diffDocuments = (before, after) => {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    keys.delete("_id");
+    for (const key of keys) {
+        const from = before?.[key] ?? null;
+        const to = after?.[key] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { before: from, after: to };
+    }
+    return changes;
+};
+
+// Client IP as resolved by Express; X-Forwarded-For is only honoured for the proxies "trust proxy" allows,
+// so clients cannot write their own address into the log
+const getClientIp = (req) => req.ip || null;
+
+// Returns a function that records one audit entry. Logging never breaks the action being logged.
+const createAuditLogger =
+    (auditLogsCollection) =>
+    async ({ req, action, targetType, targetId, before = null, after = null }) => {
+        try {
+            await auditLogsCollection.insertOne({
+                actor: req.user?.email || null,
+                actor_role: req.user?.role || null,
+                action,
+                target_type: targetType,
+                target_id: targetId?.toString() || null,
+                changes: diffDocuments(before, after),
+                ip: getClientIp(req),
+                created_at: new Date().toISOString(),
+            });
+        } catch (error) {
+            console.error("Failed to write audit log:", error);
+        }
+    };
+
+module.exports = { createAuditLogger, diffDocuments };
@@ -0,0 +1,36 @@
+const { ObjectId } = require("mongodb");
+
+// Authorization middleware; run after verifyToken and verifyUserOrAdmin/verifyAdmin so req.user.role is known
+
+// Only let a user reach routes about their own email (admins may reach any)
+const verifySelfOrAdmin =
+    (param = "email") =>
+    (req, res, next) => {
+        const email = req.params[param] ?? req.query[param];
+        if (req.user?.role !== "admin" && email !== req.user?.email) {
+            return res.status(403).send({ success: false, message: "You can only access your own data" });
+        }
+        next();
+    };
+
+// Only let the owner (added_by.email) or an admin reach a pet or campaign; the document is left on req.resource
+const verifyOwnerOrAdmin =
+    (collection, { param = "id", label = "Resource" } = {}) =>
+    async (req, res, next) => {
+        const id = req.params[param];
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ success: false, message: `Invalid ${label} ID` });
+        }
+        const resource = await collection.findOne({ _id: new ObjectId(id) });
+        // Soft deleted pets and campaigns only remain visible to admins
+        if (!resource || (resource.deleted_at && req.user?.role !== "admin")) {
+            return res.status(404).send({ success: false, message: `${label} not found` });
+        }
+        if (req.user?.role !== "admin" && resource.added_by?.email !== req.user?.email) {
+            return res.status(403).send({ success: false, message: `Only the ${label} owner or an admin can do this` });
+        }
+        req.resource = resource;
+        next();
+    };
+
+module.exports = { verifySelfOrAdmin, verifyOwnerOrAdmin };
@@ -0,0 +1,54 @@
+const { toMinorUnits, fromMinorUnits } = require("./currency__units.js");
+
+// Utility functions for working out whether a donation campaign can still take money
+
+// Donation goal of a campaign (0 when the campaign has no goal)
+const getCampaignGoal = (campaign) => Number(campaign?.max_donation) || 0;
+
+// Last moment donations are accepted; a date-only last_date stays open for that whole day
+const getCampaignDeadline = (campaign) => {
+    if (!campaign?.last_date) return null;
+    const deadline = new Date(campaign.last_date);
+    if (isNaN(deadline)) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(campaign.last_date)) deadline.setUTCHours(23, 59, 59, 999);
+    return deadline;
+};
+
+// Amount still needed to reach the goal, in the campaign currency's minor units (Infinity without a goal)
+const getRemainingGoalMinor = (campaign) => {
+    const goal = getCampaignGoal(campaign);
+    if (!goal) return Infinity;
+    const totalMinor = campaign.total_donations_minor ?? toMinorUnits(campaign.total_donations || 0, campaign.currency);
+    return Math.max(toMinorUnits(goal, campaign.currency) - totalMinor, 0);
+};
+
+// Amount still needed to reach the goal (Infinity when the campaign has no goal)
+const getRemainingGoal = (campaign) => {
+    const remaining = getRemainingGoalMinor(campaign);
+    return remaining === Infinity ? Infinity : fromMinorUnits(remaining, campaign.currency);
+};
+
+// active / paused / funded / expired
+const getCampaignStatus = (campaign, now = new Date()) => {
+    if (campaign.paused) return "paused";
+    if (getCampaignGoal(campaign) && getRemainingGoal(campaign) <= 0) return "funded";
+    const deadline = getCampaignDeadline(campaign);
+    if (deadline && deadline < now) return "expired";
+    return "active";
+};
+
+// Campaign document with its computed status and percent funded
+const withCampaignStatus = (campaign) => {
+    const goal = getCampaignGoal(campaign);
+    const percentFunded = goal ? Math.round(((campaign.total_donations || 0) / goal) * 1000) / 10 : null;
+    return { ...campaign, status: getCampaignStatus(campaign), percent_funded: percentFunded };
+};
+
+module.exports = {
+    getCampaignGoal,
+    getCampaignDeadline,
+    getRemainingGoalMinor,
+    getRemainingGoal,
+    getCampaignStatus,
+    withCampaignStatus,
+};
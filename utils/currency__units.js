@@ -0,0 +1,105 @@
+// Currencies and minor units. Stripe takes amounts in the currency's smallest unit: cents for USD,
+// whole yen for JPY (zero-decimal) and thousandths for KWD (three-decimal).
+// Donations store amount_minor as the source of truth; the major-unit amount_donated is kept for display.
+
+const ZERO_DECIMAL_CURRENCIES = [
+    "bif",
+    "clp",
+    "djf",
+    "gnf",
+    "jpy",
+    "kmf",
+    "krw",
+    "mga",
+    "pyg",
+    "rwf",
+    "ugx",
+    "vnd",
+    "vuv",
+    "xaf",
+    "xof",
+    "xpf",
+];
+const THREE_DECIMAL_CURRENCIES = ["bhd", "jod", "kwd", "omr", "tnd"];
+
+const DEFAULT_CURRENCY = "usd";
+
+// Currencies campaigns may use, from SUPPORTED_CURRENCIES=usd,eur,... (defaults below)
+const getSupportedCurrencies = () =>
+    (process.env.SUPPORTED_CURRENCIES || "usd,eur,gbp,cad,aud,inr,bdt,jpy")
+        .split(",")
+        .map((currency) => currency.trim().toLowerCase())
+        .filter(Boolean);
+
+// Records made before campaigns had a currency were all in USD
+const normalizeCurrency = (currency) => (currency || DEFAULT_CURRENCY).toString().toLowerCase();
+
+const getMinorUnitDigits = (currency) => {
+    const code = normalizeCurrency(currency);
+    if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+    if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+    return 2;
+};
+
+const toMinorUnits = (amount, currency) => Math.round(Number(amount) * 10 ** getMinorUnitDigits(currency));
+
+const fromMinorUnits = (amountMinor, currency) => {
+    const factor = 10 ** getMinorUnitDigits(currency);
+    return Math.round(amountMinor) / factor;
+};
+
+// Minor-unit amount of a donation, falling back to the major-unit field on older records
+const getAmountMinor = (donation) =>
+    donation.amount_minor ?? toMinorUnits(donation.amount_donated || 0, donation.currency);
+const getRefundedMinor = (donation) =>
+    donation.amount_refunded_minor ?? toMinorUnits(donation.amount_refunded || 0, donation.currency);
+
+// Aggregation expressions for the same fallbacks (legacy records are USD, so the factor is 100)
+const amountMinorExpression = {
+    $ifNull: ["$amount_minor", { $round: [{ $multiply: [{ $ifNull: ["$amount_donated", 0] }, 100] }, 0] }],
+};
+const refundedMinorExpression = {
+    $ifNull: ["$amount_refunded_minor", { $round: [{ $multiply: [{ $ifNull: ["$amount_refunded", 0] }, 100] }, 0] }],
+};
+
+const formatMoney = (amount, currency) =>
+    new Intl.NumberFormat("en-US", { style: "currency", currency: normalizeCurrency(currency).toUpperCase() }).format(
+        amount || 0
+    );
+
+// Conversion rates into the reporting currency, from CURRENCY_RATES='{"eur":1.08,"gbp":1.27}'
+// (units of REPORTING_CURRENCY per unit of each currency). Currencies without a rate are not converted.
+const getReportingCurrency = () => normalizeCurrency(process.env.REPORTING_CURRENCY);
+const getRateTable = () => {
+    let rates = {};
+    try {
+        rates = JSON.parse(process.env.CURRENCY_RATES || "{}");
+    } catch (error) {
+        console.error("CURRENCY_RATES is not valid JSON:", error.message);
+    }
+    return { ...rates, [getReportingCurrency()]: 1 };
+};
+
+// Major-unit amount in the reporting currency, or null when there is no rate for the currency
+const convertToReporting = (amount, currency, rates = getRateTable()) => {
+    const rate = rates[normalizeCurrency(currency)];
+    if (!rate) return null;
+    return fromMinorUnits(toMinorUnits(amount * rate, getReportingCurrency()), getReportingCurrency());
+};
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    getSupportedCurrencies,
+    normalizeCurrency,
+    getMinorUnitDigits,
+    toMinorUnits,
+    fromMinorUnits,
+    getAmountMinor,
+    getRefundedMinor,
+    amountMinorExpression,
+    refundedMinorExpression,
+    formatMoney,
+    getReportingCurrency,
+    getRateTable,
+    convertToReporting,
+};
@@ -0,0 +1,169 @@
+const { once } = require("events");
+const { parseDateRange, rangeMatch } = require("./date__range.js");
+
+// Streaming CSV / JSON exports. Documents are read from a MongoDB cursor one at a time and written
+// straight to the response, so an export never holds a whole collection in memory.
+
+// For each export: the date field ?from=&to= applies to, the columns a caller may pick and the default ones
+const EXPORTS = {
+    donors: {
+        dateField: "donated_at",
+        columns: [
+            "user_name",
+            "email",
+            "amount_donated",
+            "amount_refunded",
+            "amount_minor",
+            "amount_refunded_minor",
+            "currency",
+            "payment_status",
+            "refund_status",
+            "donated_at",
+        ],
+        defaultColumns: ["user_name", "email", "amount_donated", "amount_refunded", "currency", "donated_at"],
+    },
+    adoptionRequests: {
+        dateField: "requested_at",
+        columns: [
+            "pet_name",
+            "pet_id",
+            "user_name",
+            "user_email",
+            "phone",
+            "address",
+            "message",
+            "adoption_status",
+            "requested_at",
+            "last_updated",
+        ],
+        defaultColumns: ["pet_name", "user_name", "user_email", "phone", "adoption_status", "requested_at"],
+    },
+    donations: {
+        dateField: "donated_at",
+        columns: [
+            "campaign_id",
+            "pet_name",
+            "user_name",
+            "email",
+            "amount_donated",
+            "amount_refunded",
+            "amount_minor",
+            "amount_refunded_minor",
+            "currency",
+            "payment_status",
+            "refund_status",
+            "payment_intent_id",
+            "donated_at",
+        ],
+        defaultColumns: [
+            "campaign_id",
+            "pet_name",
+            "user_name",
+            "email",
+            "amount_donated",
+            "amount_refunded",
+            "currency",
+            "donated_at",
+        ],
+    },
+    pets: {
+        dateField: "created_at",
+        columns: [
+            "pet_name",
+            "category",
+            "pet_age",
+            "breed",
+            "gender",
+            "size",
+            "vaccinated",
+            "location",
+            "adopted",
+            "adopted_by",
+            "adopted_at",
+            "added_by.email",
+            "created_at",
+            "deleted_at",
+        ],
+        defaultColumns: ["pet_name", "category", "pet_age", "location", "adopted", "added_by.email", "created_at"],
+    },
+};
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// Read ?format=, ?columns= and ?from=&to= for an export; throws a 400-style error for anything unknown
+const parseExportOptions = (type, query) => {
+    const definition = EXPORTS[type];
+    const format = (query.format || "csv").toString().toLowerCase();
+    if (format !== "csv" && format !== "json") throw badRequest("format must be csv or json");
+
+    let columns = definition.defaultColumns;
+    if (query.columns) {
+        columns = query.columns
+            .toString()
+            .split(",")
+            .map((column) => column.trim())
+            .filter(Boolean);
+        const unknown = columns.filter((column) => !definition.columns.includes(column));
+        if (unknown.length || !columns.length) {
+            throw badRequest(`columns must be chosen from ${definition.columns.join(", ")}`);
+        }
+    }
+
+    const range = parseDateRange(query);
+    // Only the chosen columns are read from MongoDB
+    const projection = Object.fromEntries(columns.map((column) => [column, 1]));
+    return { format, columns, projection, dateFilter: rangeMatch(definition.dateField, range) };
+};
+
+// Value at a dotted path ("added_by.email"), turned into something a spreadsheet can show
+const getColumnValue = (doc, column) => {
+    const value = column.split(".").reduce((current, key) => current?.[key], doc);
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === "object") return value.toString === Object.prototype.toString ? value : value.toString();
+    return value;
+};
+
+const csvCell = (value) => {
+    if (value === null) return "";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    // Quote anything with separators, and neutralise spreadsheet formulas
+    const safe = /^[=+\-@]/.test(text) && isNaN(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// Write a MongoDB cursor to the response as CSV or a JSON array, waiting for the client when its buffer is full
+const streamExport = async ({ res, cursor, format, columns, filename }) => {
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+
+    // A client that disconnects never drains, so stop waiting when the response closes
+    const write = async (chunk) => {
+        if (!res.write(chunk)) await Promise.race([once(res, "drain"), once(res, "close")]);
+    };
+
+    try {
+        await write(format === "csv" ? columns.map(csvCell).join(",") + "\r\n" : "[");
+        let first = true;
+        for await (const doc of cursor) {
+            if (res.destroyed) break;
+            if (format === "csv") {
+                await write(columns.map((column) => csvCell(getColumnValue(doc, column))).join(",") + "\r\n");
+            } else {
+                const row = Object.fromEntries(columns.map((column) => [column, getColumnValue(doc, column)]));
+                await write((first ? "" : ",") + JSON.stringify(row));
+            }
+            first = false;
+        }
+        if (format === "json") await write("]");
+        res.end();
+    } finally {
+        await cursor.close();
+    }
+};
+
+module.exports = { EXPORTS, parseExportOptions, streamExport };
@@ -0,0 +1,32 @@
+// ?from=&to= date range filters shared by analytics and exports (both ends inclusive)
+
+const invalidRange = () => {
+    const error = new Error("from and to must be valid dates");
+    error.status = 400;
+    return error;
+};
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read ?from=&to= into ISO strings; throws a 400-style error for dates that do not parse.
+// A date-only to (to=2025-07-31) covers that whole day, up to its last millisecond.
+const parseDateRange = (query) => {
+    const { from, to } = query;
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) throw invalidRange();
+    const end = to && DATE_ONLY_REGEX.test(to.toString().trim()) ? `${to.toString().trim()}T23:59:59.999Z` : to;
+    return {
+        from: from ? new Date(from).toISOString() : null,
+        to: end ? new Date(end).toISOString() : null,
+    };
+};
+
+// Filter limiting an ISO-string date field to the range
+const rangeMatch = (field, range) => {
+    if (!range.from && !range.to) return {};
+    const match = {};
+    if (range.from) match.$gte = range.from;
+    if (range.to) match.$lte = range.to;
+    return { [field]: match };
+};
+
+module.exports = { parseDateRange, rangeMatch };
@@ -0,0 +1,209 @@
+const { formatMoney } = require("./currency__units.js");
+
+// Donation receipts and annual giving statements, rendered as printable HTML.
+// Receipt numbers come from a counter document and are given out when a donation is recorded, so they are
+// sequential, without gaps, across all donations.
+
+const RECEIPT_COUNTER_ID = "donation_receipt";
+
+// A claim older than this belongs to a caller that died before numbering, so anyone may take it over
+const RECEIPT_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+// Donations nobody is numbering right now: never claimed, or claimed too long ago
+const unclaimedFilter = () => ({
+    $or: [
+        { receipt_claimed_at: null },
+        { receipt_claimed_at: { $lt: new Date(Date.now() - RECEIPT_CLAIM_TIMEOUT_MS).toISOString() } },
+    ],
+});
+
+// Organization details printed on receipts; set these in .env for real tax receipts
+const getOrganization = () => ({
+    name: process.env.ORG_NAME || "AdoptiPet",
+    address: process.env.ORG_ADDRESS || null,
+    email: process.env.ORG_EMAIL || null,
+    taxId: process.env.ORG_TAX_ID || null,
+});
+
+const nextReceiptNumber = async (countersCollection) => {
+    const counter = await countersCollection.findOneAndUpdate(
+        { _id: RECEIPT_COUNTER_ID },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: "after" }
+    );
+    return counter.seq;
+};
+
+// Give a succeeded donation its receipt number (once). Called on the path that records the donation.
+// The donation is claimed before a number is drawn, so when the webhook and the checkout confirmation
+// record the same payment at once only one of them takes a number and none is ever wasted. A claim that
+// fails to produce a number is released again.
+const assignReceiptNumber = async ({ recievedDonationCollection, countersCollection, filter }) => {
+    const donation = await recievedDonationCollection.findOne(filter);
+    if (!donation || donation.payment_status === "failed") return null;
+    if (donation.receipt_number) return donation.receipt_number;
+
+    const now = new Date().toISOString();
+    const claim = await recievedDonationCollection.updateOne(
+        { _id: donation._id, receipt_number: null, ...unclaimedFilter() },
+        { $set: { receipt_claimed_at: now } }
+    );
+    if (claim.matchedCount === 0) {
+        const current = await recievedDonationCollection.findOne({ _id: donation._id });
+        return current.receipt_number || null;
+    }
+    try {
+        const receiptNumber = await nextReceiptNumber(countersCollection);
+        await recievedDonationCollection.updateOne(
+            { _id: donation._id },
+            { $set: { receipt_number: receiptNumber, receipt_issued_at: now } }
+        );
+        return receiptNumber;
+    } catch (error) {
+        await recievedDonationCollection.updateOne(
+            { _id: donation._id, receipt_number: null, receipt_claimed_at: now },
+            { $unset: { receipt_claimed_at: "" } }
+        );
+        throw error;
+    }
+};
+
+// Number the donations recorded before receipts existed, oldest first. Runs at startup; once everything
+// is numbered there is nothing left for it to do.
+const backfillReceiptNumbers = async ({ recievedDonationCollection, countersCollection }) => {
+    const cursor = recievedDonationCollection
+        .find(
+            { receipt_number: null, payment_status: { $ne: "failed" }, ...unclaimedFilter() },
+            { projection: { _id: 1 } }
+        )
+        .sort({ donated_at: 1, _id: 1 });
+    let numbered = 0;
+    for await (const donation of cursor) {
+        const receiptNumber = await assignReceiptNumber({
+            recievedDonationCollection,
+            countersCollection,
+            filter: { _id: donation._id },
+        });
+        if (receiptNumber) numbered += 1;
+    }
+    return { numbered };
+};
+
+const formatReceiptNumber = (receiptNumber) => `R-${String(receiptNumber).padStart(6, "0")}`;
+
+const formatDate = (value) =>
+    value ? new Date(value).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" }) : "";
+
+const escapeHtml = (value) =>
+    String(value ?? "").replace(
+        /[&<>"']/g,
+        (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[char])
+    );
+
+// "Refunded" / "Partially refunded" / null, from the refunds Stripe has confirmed
+const getRefundLabel = (donation) => {
+    const refunded = donation.amount_refunded || 0;
+    if (refunded <= 0) return null;
+    if (refunded >= donation.amount_donated) return "Refunded";
+    return `Partially refunded (${formatMoney(refunded, donation.currency)})`;
+};
+
+const netAmount = (donation) => (donation.amount_donated || 0) - (donation.amount_refunded || 0);
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; color: #222; max-width: 760px; margin: 32px auto; padding: 0 16px; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; }
+.muted { color: #666; font-size: 13px; }
+.refunded { color: #b00020; font-weight: bold; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const organizationBlock = () => {
+    const org = getOrganization();
+    const lines = [`<strong>${escapeHtml(org.name)}</strong>`];
+    if (org.address) lines.push(escapeHtml(org.address));
+    if (org.email) lines.push(escapeHtml(org.email));
+    if (org.taxId) lines.push(`Tax ID: ${escapeHtml(org.taxId)}`);
+    return `<p>${lines.join("<br>")}</p>`;
+};
+
+const renderReceiptHtml = (donation) => {
+    const refundLabel = getRefundLabel(donation);
+    return page(
+        `Donation receipt ${formatReceiptNumber(donation.receipt_number)}`,
+        `${organizationBlock()}
+<h1>Donation receipt ${formatReceiptNumber(donation.receipt_number)}</h1>
+<p class="muted">Issued ${formatDate(donation.receipt_issued_at || donation.donated_at)}</p>
+${refundLabel ? `<p class="refunded">${escapeHtml(refundLabel)}</p>` : ""}
+<table>
+<tr><th>Donor</th><td>${escapeHtml(donation.user_name)} (${escapeHtml(donation.email)})</td></tr>
+<tr><th>Campaign</th><td>${escapeHtml(donation.pet_name)}</td></tr>
+<tr><th>Date</th><td>${formatDate(donation.donated_at)}</td></tr>
+<tr><th>Amount</th><td>${formatMoney(donation.amount_donated, donation.currency)}</td></tr>
+${
+    donation.amount_refunded
+        ? `<tr><th>Refunded</th><td>${formatMoney(donation.amount_refunded, donation.currency)}</td></tr>
+<tr><th>Net gift</th><td>${formatMoney(netAmount(donation), donation.currency)}</td></tr>`
+        : ""
+}
+<tr><th>Payment reference</th><td>${escapeHtml(donation.payment_intent_id)}</td></tr>
+</table>
+<p class="muted">No goods or services were provided in exchange for this donation.</p>`
+    );
+};
+
+const renderStatementHtml = ({ donor, year, donations }) => {
+    const totals = {};
+    for (const donation of donations) {
+        const currency = donation.currency || "usd";
+        totals[currency] = (totals[currency] || 0) + netAmount(donation);
+    }
+    const rows = donations
+        .map((donation) => {
+            const refundLabel = getRefundLabel(donation);
+            return `<tr><td>${donation.receipt_number ? formatReceiptNumber(donation.receipt_number) : ""}</td>
+<td>${formatDate(donation.donated_at)}</td><td>${escapeHtml(donation.pet_name)}</td>
+<td>${formatMoney(donation.amount_donated, donation.currency)}</td>
+<td>${refundLabel ? `<span class="refunded">${escapeHtml(refundLabel)}</span>` : ""}</td>
+<td>${formatMoney(netAmount(donation), donation.currency)}</td></tr>`;
+        })
+        .join("\n");
+    const totalText =
+        Object.entries(totals)
+            .map(([currency, total]) => formatMoney(total, currency))
+            .join(" + ") || formatMoney(0);
+
+    return page(
+        `Giving statement ${year}`,
+        `${organizationBlock()}
+<h1>Giving statement for ${year}</h1>
+<p>${escapeHtml(donor.name)} (${escapeHtml(donor.email)})</p>
+<table>
+<tr><th>Receipt</th><th>Date</th><th>Campaign</th><th>Amount</th><th>Refund</th><th>Net gift</th></tr>
+${rows || `<tr><td colspan="6">No donations in ${year}</td></tr>`}
+</table>
+<p><strong>Total net gifts: ${totalText}</strong></p>
+<p class="muted">No goods or services were provided in exchange for these donations.</p>`
+    );
+};
+
+module.exports = {
+    assignReceiptNumber,
+    backfillReceiptNumbers,
+    formatReceiptNumber,
+    getRefundLabel,
+    renderReceiptHtml,
+    renderStatementHtml,
+};
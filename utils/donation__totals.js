@@ -0,0 +1,41 @@
+const { ObjectId } = require("mongodb");
+const { getCampaignGoal } = require("./campaign__status.js");
+const { fromMinorUnits, amountMinorExpression, refundedMinorExpression } = require("./currency__units.js");
+
+// Utility function for recalculating a campaign's total_donations from its recorded donations
+const recomputeCampaignTotal = async ({ donationsCollection, recievedDonationCollection, campaignId }) => {
+    const campaignObjectId = new ObjectId(campaignId);
+
+    // Failed payments are kept for reference but never count towards the total, and refunded amounts are taken off
+    const agg = await recievedDonationCollection
+        .aggregate([
+            { $match: { campaign_id: campaignObjectId, payment_status: { $ne: "failed" } } },
+            {
+                $group: {
+                    _id: "$campaign_id",
+                    total: { $sum: { $subtract: [amountMinorExpression, refundedMinorExpression] } },
+                },
+            },
+        ])
+        .toArray();
+    const totalMinor = agg.length > 0 ? agg[0].total : 0;
+
+    // Close the campaign once its goal is reached, and reopen it if refunds take it back under
+    const campaign = await donationsCollection.findOne({ _id: campaignObjectId });
+    const totalDonations = fromMinorUnits(totalMinor, campaign?.currency);
+    const goal = getCampaignGoal(campaign);
+    // The minor-unit total is exact; total_donations is kept in major units for display
+    const update = { $set: { total_donations: totalDonations, total_donations_minor: totalMinor } };
+    if (goal && totalDonations >= goal) {
+        update.$set.closed_at = campaign.closed_at || new Date().toISOString();
+    } else if (campaign?.closed_at) {
+        update.$unset = { closed_at: "" };
+    }
+
+    // Update campaign total_donations field
+    await donationsCollection.updateOne({ _id: campaignObjectId }, update);
+
+    return totalDonations;
+};
+
+module.exports = recomputeCampaignTotal;
@@ -0,0 +1,39 @@
+const { initializeApp, getApps, cert, applicationDefault } = require("firebase-admin/app");
+const { getAuth } = require("firebase-admin/auth");
+
+// Verifies Firebase ID tokens with the Admin SDK, or with a plugged-in verifier for local tests
+let customVerifier = null;
+
+const getFirebaseApp = () => {
+    if (getApps().length) return getApps()[0];
+    // FIREBASE_SERVICE_ACCOUNT holds the base64 encoded service account JSON
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    const credential = serviceAccount
+        ? cert(JSON.parse(Buffer.from(serviceAccount, "base64").toString("utf8")))
+        : applicationDefault();
+    return initializeApp({ credential });
+};
+
+// Local-only verifier: accepts tokens shaped like "fake:<uid>:<email>"
+const fakeVerifier = async (idToken) => {
+    const [prefix, uid, email] = idToken.split(":");
+    if (prefix !== "fake" || !uid || !email) throw new Error("Invalid fake ID token");
+    return { uid, email, email_verified: true };
+};
+
+const useFakeVerifier = () => process.env.FIREBASE_FAKE_VERIFIER === "true" && process.env.NODE_ENV !== "production";
+
+// Swap the verifier (pass null to go back to the Admin SDK)
+const setIdTokenVerifier = (verifier) => {
+    customVerifier = verifier;
+};
+
+// Resolves to the decoded token ({ uid, email, ... }) or throws when the token is not valid
+const verifyIdToken = async (idToken) => {
+    if (!idToken) throw new Error("ID token is required");
+    if (customVerifier) return customVerifier(idToken);
+    if (useFakeVerifier()) return fakeVerifier(idToken);
+    return getAuth(getFirebaseApp()).verifyIdToken(idToken);
+};
+
+module.exports = { verifyIdToken, setIdTokenVerifier };
@@ -0,0 +1,181 @@
+const fs = require("fs");
+const path = require("path");
+const {
+    getPageSize,
+    decodeCursor,
+    buildKeysetFilter,
+    buildKeysetSort,
+    buildKeysetPage,
+} = require("./pagination__collection.js");
+
+// Geographic search. Pets and campaigns keep a GeoJSON point in `geo`, geocoded from their free-text
+// `location`; listings accept ?lat=&lng= (or ?near=<place>) with ?radius_km= and come back nearest first
+// with a distance_km on each result.
+// Geocoding uses a local gazetteer (data/gazetteer.json, or GAZETTEER_PATH) unless another geocoder is
+// plugged in with setGeocoder.
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+const DISTANCE_SORT = { field: "distance_km", direction: 1 };
+const DEFAULT_GAZETTEER_PATH = path.join(__dirname, "..", "data", "gazetteer.json");
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const toPoint = (lng, lat) => ({ type: "Point", coordinates: [lng, lat] });
+
+// "Cox's Bazar" and "coxs  bazar" are the same place
+const normalizePlace = (value) =>
+    String(value || "")
+        .toLowerCase()
+        .replace(/['’.]/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+// Geocoder over a list of { name, aliases, lat, lng }. "Mirpur, Dhaka" tries the whole text first, then each
+// comma-separated part from the most specific one.
+const createGazetteerGeocoder = (places) => {
+    const index = new Map();
+    for (const place of places) {
+        for (const name of [place.name, ...(place.aliases || [])]) {
+            const key = normalizePlace(name);
+            if (!index.has(key)) index.set(key, place);
+        }
+    }
+    return async (text) => {
+        const candidates = [text, ...String(text || "").split(",")].map(normalizePlace).filter(Boolean);
+        for (const candidate of candidates) {
+            const place = index.get(candidate);
+            if (place) return { name: place.name, point: toPoint(place.lng, place.lat) };
+        }
+        return null;
+    };
+};
+
+let customGeocoder = null;
+let gazetteerGeocoder = null;
+
+// The gazetteer file is read once, the first time something is geocoded
+const getGazetteerGeocoder = () => {
+    if (!gazetteerGeocoder) {
+        const file = process.env.GAZETTEER_PATH || DEFAULT_GAZETTEER_PATH;
+        gazetteerGeocoder = createGazetteerGeocoder(JSON.parse(fs.readFileSync(file, "utf8")));
+    }
+    return gazetteerGeocoder;
+};
+
+// Swap the geocoder: an async (text) => { name, point } | null (pass null to go back to the gazetteer)
+const setGeocoder = (geocoder) => {
+    customGeocoder = geocoder;
+};
+
+// Resolves to { name, point } for a place name, or null when it is not known
+const geocode = async (text) => {
+    if (!text) return null;
+    return (customGeocoder || getGazetteerGeocoder())(text);
+};
+
+// Fields to store on a pet or campaign for its location; geo is null when the place is not known
+const locate = async (location) => {
+    const place = await geocode(location);
+    return { geo: place?.point || null, geo_place: place?.name || null };
+};
+
+// Read ?lat=&lng= or ?near=<place>, plus ?radius_km=. Resolves to null when no point was asked for and
+// throws a 400-style error for anything invalid.
+const parseGeoQuery = async (query) => {
+    let point;
+    if (query.lat !== undefined || query.lng !== undefined) {
+        const lat = Number(query.lat);
+        const lng = Number(query.lng);
+        if (query.lat === "" || query.lng === "" || !(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+            throw badRequest("lat must be between -90 and 90 and lng between -180 and 180");
+        }
+        point = toPoint(lng, lat);
+    } else if (query.near) {
+        const place = await geocode(query.near.toString());
+        if (!place) throw badRequest(`Unknown place: ${query.near}`);
+        point = place.point;
+    } else {
+        return null;
+    }
+
+    const radiusKm = query.radius_km === undefined ? DEFAULT_RADIUS_KM : Number(query.radius_km);
+    if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+        throw badRequest(`radius_km must be between 0 and ${MAX_RADIUS_KM}`);
+    }
+    return { point, radiusKm };
+};
+
+// Filter for documents within the radius (served by the 2dsphere index on geo)
+const withinRadius = (geo) =>
+    geo ? { geo: { $geoWithin: { $centerSphere: [geo.point.coordinates, geo.radiusKm / EARTH_RADIUS_KM] } } } : {};
+
+// Great-circle (haversine) distance in km from the query point to each document's geo, as an expression
+const distanceExpression = (geo) => {
+    const [lng, lat] = geo.point.coordinates.map((value) => (value * Math.PI) / 180);
+    const docLng = { $degreesToRadians: { $arrayElemAt: ["$geo.coordinates", 0] } };
+    const docLat = { $degreesToRadians: { $arrayElemAt: ["$geo.coordinates", 1] } };
+    const halfSin = (delta) => ({ $pow: [{ $sin: { $divide: [delta, 2] } }, 2] });
+    const a = {
+        $add: [
+            halfSin({ $subtract: [docLat, lat] }),
+            { $multiply: [Math.cos(lat), { $cos: docLat }, halfSin({ $subtract: [docLng, lng] })] },
+        ],
+    };
+    return { $round: [{ $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [1, a] } } }] }, 2] };
+};
+
+// One page of documents within the radius, nearest first. Page shape matches paginateCollection.
+const paginateNearby = async ({ collection, req, filter = {}, geo, defaultPageSize = 6 }) => {
+    const pageSize = getPageSize(req, defaultPageSize);
+    const cursor = decodeCursor(req.query.cursor, DISTANCE_SORT);
+    const match = { $and: [filter, withinRadius(geo)] };
+
+    const total = await collection.countDocuments(match);
+    const docs = await collection
+        .aggregate([
+            { $match: match },
+            { $addFields: { distance_km: distanceExpression(geo) } },
+            { $match: buildKeysetFilter(DISTANCE_SORT, cursor) },
+            { $sort: buildKeysetSort(DISTANCE_SORT, cursor) },
+            { $limit: pageSize + 1 },
+        ])
+        .toArray();
+
+    return { ...buildKeysetPage({ docs, sort: DISTANCE_SORT, cursor, pageSize }), total };
+};
+
+// Geocode documents that have a location but were never geocoded (e.g. created before geo search existed)
+const geocodeMissing = async (collection) => {
+    const cursor = collection.find(
+        { geo: { $exists: false }, location: { $nin: [null, ""] } },
+        { projection: { location: 1 } }
+    );
+    let located = 0;
+    let unknown = 0;
+    for await (const doc of cursor) {
+        const fields = await locate(doc.location);
+        await collection.updateOne({ _id: doc._id }, { $set: fields });
+        if (fields.geo) located += 1;
+        else unknown += 1;
+    }
+    return { located, unknown };
+};
+
+module.exports = {
+    DISTANCE_SORT,
+    createGazetteerGeocoder,
+    setGeocoder,
+    geocode,
+    locate,
+    parseGeoQuery,
+    withinRadius,
+    distanceExpression,
+    paginateNearby,
+    geocodeMissing,
+};
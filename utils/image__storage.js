@@ -0,0 +1,80 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Where uploaded images are kept. Every adapter offers save(key, buffer, contentType) -> public URL and
+// remove(key); keys look like "pets/<id>/<imageId>/original.jpg".
+// IMAGE_STORAGE=local (default) writes under UPLOAD_DIR and serves it at PUBLIC_URL/uploads;
+// IMAGE_STORAGE=s3 writes to any S3-compatible bucket.
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, "..", "uploads");
+
+const createLocalStorage = ({ directory = DEFAULT_UPLOAD_DIR, baseUrl = "/uploads" } = {}) => {
+    // Keys come from our own ids, but never let one point outside the upload directory
+    const resolve = (key) => {
+        const file = path.resolve(directory, key);
+        if (!file.startsWith(path.resolve(directory) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return file;
+    };
+    return {
+        directory,
+        save: async (key, buffer) => {
+            const file = resolve(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+            return `${baseUrl}/${key}`;
+        },
+        remove: async (key) => {
+            await fs.rm(resolve(key), { force: true });
+        },
+    };
+};
+
+// The AWS SDK is only loaded when S3 storage is used
+const createS3Storage = ({ bucket, region, endpoint, publicUrl, accessKeyId, secretAccessKey }) => {
+    const { S3Client, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+    const client = new S3Client({
+        region: region || "us-east-1",
+        endpoint: endpoint || undefined,
+        // Most S3-compatible services (MinIO, R2, Spaces) expect path-style URLs on custom endpoints
+        forcePathStyle: Boolean(endpoint),
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+    const base = publicUrl || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+    return {
+        save: async (key, buffer, contentType) => {
+            await client.send(
+                new PutObjectCommand({
+                    Bucket: bucket,
+                    Key: key,
+                    Body: buffer,
+                    ContentType: contentType,
+                    CacheControl: "public, max-age=31536000, immutable",
+                })
+            );
+            return `${base.replace(/\/$/, "")}/${key}`;
+        },
+        remove: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+    };
+};
+
+const createStorageFromEnv = () => {
+    if (process.env.IMAGE_STORAGE === "s3") {
+        return createS3Storage({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            publicUrl: process.env.S3_PUBLIC_URL,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        });
+    }
+    // The client runs on another origin, so local URLs need the server's own address (PUBLIC_URL)
+    return createLocalStorage({
+        directory: process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR,
+        baseUrl: `${(process.env.PUBLIC_URL || "").replace(/\/$/, "")}/uploads`,
+    });
+};
+
+module.exports = { createLocalStorage, createS3Storage, createStorageFromEnv };
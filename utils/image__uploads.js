@@ -0,0 +1,148 @@
+const { ObjectId } = require("mongodb");
+const multer = require("multer");
+const sharp = require("sharp");
+
+// Image uploads for pets and campaigns. Files are checked by their real format (not the declared type),
+// re-encoded without metadata so EXIF location data never leaves the server, and stored with resized
+// thumbnails. Each document keeps its images in an `images` array; the first one is the cover (pet_image).
+
+const IMAGE_FORMATS = {
+    jpeg: { contentType: "image/jpeg", extension: "jpg" },
+    png: { contentType: "image/png", extension: "png" },
+    webp: { contentType: "image/webp", extension: "webp" },
+};
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGES_PER_UPLOAD = 6;
+const MAX_IMAGES = 12;
+// Thumbnails are WebP, never wider than these and never enlarged
+const THUMBNAIL_WIDTHS = { small: 320, medium: 800 };
+
+const uploadError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// multer keeps the files in memory (they are small and re-encoded anyway); its errors become 4xx responses
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_UPLOAD },
+    fileFilter: (req, file, cb) => {
+        const allowed = Object.values(IMAGE_FORMATS).some((format) => format.contentType === file.mimetype);
+        cb(allowed ? null : uploadError(`${file.originalname} is not a JPEG, PNG or WebP image`, 415), allowed);
+    },
+}).array("images", MAX_IMAGES_PER_UPLOAD);
+
+const MULTER_MESSAGES = {
+    LIMIT_FILE_SIZE: [413, `Images must be at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB`],
+    LIMIT_FILE_COUNT: [400, `At most ${MAX_IMAGES_PER_UPLOAD} images can be uploaded at once`],
+    LIMIT_UNEXPECTED_FILE: [400, 'Images must be sent as multipart/form-data in the "images" field'],
+};
+
+const uploadImages = (req, res, next) =>
+    upload(req, res, (error) => {
+        if (!error) {
+            if (!req.files?.length) {
+                return res.status(400).send({ success: false, message: "No images were uploaded" });
+            }
+            return next();
+        }
+        const [status, message] = MULTER_MESSAGES[error.code] || [error.status || 400, error.message];
+        res.status(status).send({ success: false, message });
+    });
+
+// Re-encode one image and build its thumbnails
+const processImage = async (file) => {
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+        throw uploadError(`${file.originalname} is not a valid image`, 415);
+    }
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format) throw uploadError(`${file.originalname} is not a JPEG, PNG or WebP image`, 415);
+
+    // rotate() applies the EXIF orientation first; sharp writes no EXIF/GPS metadata unless asked to
+    const image = sharp(file.buffer).rotate();
+    const original = await image.clone().toFormat(metadata.format).toBuffer({ resolveWithObject: true });
+    const thumbnails = {};
+    for (const [name, width] of Object.entries(THUMBNAIL_WIDTHS)) {
+        thumbnails[name] = await image
+            .clone()
+            .resize({ width, withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer({ resolveWithObject: true });
+    }
+    return { format, original, thumbnails };
+};
+
+const describe = (key, url, { data, info }, contentType) => ({
+    key,
+    url,
+    width: info.width,
+    height: info.height,
+    bytes: data.length,
+    content_type: contentType,
+});
+
+// Store the uploaded files under prefix (e.g. "pets/<id>") and return the entries for the images array.
+// If any file fails, whatever was already stored for this upload is removed again.
+const storeImages = async ({ storage, files, prefix, actor }) => {
+    const processed = [];
+    for (const file of files) processed.push(await processImage(file));
+
+    const assets = [];
+    const stored = [];
+    try {
+        for (const { format, original, thumbnails } of processed) {
+            const id = new ObjectId().toString();
+            const save = async (name, output, extension, contentType) => {
+                const key = `${prefix}/${id}/${name}.${extension}`;
+                const url = await storage.save(key, output.data, contentType);
+                stored.push(key);
+                return describe(key, url, output, contentType);
+            };
+            const asset = {
+                id,
+                original: await save("original", original, format.extension, format.contentType),
+                thumbnails: {},
+                uploaded_by: actor,
+                uploaded_at: new Date().toISOString(),
+            };
+            for (const [name, output] of Object.entries(thumbnails)) {
+                asset.thumbnails[name] = await save(name, output, "webp", "image/webp");
+            }
+            assets.push(asset);
+        }
+    } catch (error) {
+        await removeKeys(storage, stored);
+        throw error;
+    }
+    return assets;
+};
+
+const removeKeys = async (storage, keys) => {
+    const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+    const failed = results.filter((result) => result.status === "rejected");
+    if (failed.length) console.error(`Failed to remove ${failed.length} stored image file(s):`, failed[0].reason);
+};
+
+// Delete every stored file of the given images; a file that cannot be removed is logged, never thrown
+const removeImageFiles = (storage, images = []) =>
+    removeKeys(
+        storage,
+        images
+            .flatMap((image) => [
+                image.original?.key,
+                ...Object.values(image.thumbnails || {}).map((thumbnail) => thumbnail.key),
+            ])
+            .filter(Boolean)
+    );
+
+// Cover fields for a document whose first image is `image` (or none left)
+const coverFields = (image) => ({
+    pet_image: image?.original.url || null,
+    pet_thumbnail: image?.thumbnails.small?.url || null,
+});
+
+module.exports = { MAX_IMAGES, uploadImages, storeImages, removeImageFiles, coverFields };
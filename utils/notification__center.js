@@ -0,0 +1,55 @@
+// In-app notifications for adoption and donation events.
+// Users can switch each type off; preferences live on the user document as notification_preferences.
+
+const NOTIFICATION_TYPES = {
+    adoption_request: "Someone asked to adopt one of your pets",
+    adoption_status: "The status of your adoption request changed",
+    adoption_message: "Someone sent a message about one of your adoption requests",
+    donation_received: "One of your campaigns received a donation",
+    campaign_funded: "One of your campaigns reached its goal",
+    refund_processed: "A refund of your donation was processed",
+    pledge_stopped: "One of your monthly pledges was stopped",
+};
+
+// Every type is on unless the user turned it off
+const getPreferences = (user) =>
+    Object.fromEntries(
+        Object.keys(NOTIFICATION_TYPES).map((type) => [type, user?.notification_preferences?.[type] !== false])
+    );
+
+// Used when a caller does not care about notifications (scripts, older call sites)
+const noopNotify = async () => {};
+
+// Returns a function that stores one notification. Like the audit log, a failed notification never breaks
+// the action that triggered it.
+const createNotifier =
+    ({ notificationsCollection, usersCollection }) =>
+    async ({ recipient, type, title, message, link = null, data = {}, actor = null }) => {
+        // Nobody needs to hear about their own action
+        if (!recipient || recipient === actor) return null;
+        try {
+            const user = await usersCollection.findOne(
+                { email: recipient },
+                { projection: { notification_preferences: 1 } }
+            );
+            if (!getPreferences(user)[type]) return null;
+            const notification = {
+                recipient,
+                type,
+                title,
+                message,
+                link,
+                data,
+                read: false,
+                read_at: null,
+                created_at: new Date().toISOString(),
+            };
+            await notificationsCollection.insertOne(notification);
+            return notification;
+        } catch (error) {
+            console.error("Failed to store notification:", error);
+            return null;
+        }
+    };
+
+module.exports = { NOTIFICATION_TYPES, getPreferences, noopNotify, createNotifier };
@@ -1,28 +1,121 @@
-// Utility function for paginating a MongoDB collection
-const paginateCollection = async ({ collection, req, filter = {}, projection = null }) => {
-    // Parse query params for pagination
-    const pageSize = Number.parseInt(req.query.limit) || 6; // Number of items per page
-    const cursor = Number.parseInt(req.query.cursor) || 0;  // Current cursor position
+const { BSON, ObjectId } = require("mongodb");
+const { EJSON } = BSON;
+
+// Keyset (cursor) pagination helpers.
+// Pages are ordered by one sort field plus _id as a tie-breaker; cursors are opaque strings that
+// remember the sort and the last (or first) document seen, so pages stay stable while documents are added.
+
+const MAX_PAGE_SIZE = 100;
+
+const invalidCursor = () => {
+    const error = new Error("Invalid cursor");
+    error.status = 400;
+    return error;
+};
+
+// Number of items per page from ?limit=, capped so nobody can pull a whole collection at once
+const getPageSize = (req, defaultSize = 6) => Math.min(Number.parseInt(req.query.limit) || defaultSize, MAX_PAGE_SIZE);
+
+const encodeCursor = (doc, sort, before) =>
+    Buffer.from(
+        EJSON.stringify({ s: sort.field, d: sort.direction, v: doc[sort.field] ?? null, id: doc._id, b: before })
+    ).toString("base64url");
+
+// Decode a cursor from the query; throws a 400-style error when it is malformed or made for another sort
+const decodeCursor = (cursor, sort) => {
+    if (!cursor) return null;
+    let decoded;
+    try {
+        decoded = EJSON.parse(Buffer.from(cursor.toString(), "base64url").toString("utf8"));
+    } catch (error) {
+        throw invalidCursor();
+    }
+    if (decoded?.s !== sort.field || decoded?.d !== sort.direction || !(decoded.id instanceof ObjectId)) {
+        throw invalidCursor();
+    }
+    return { value: decoded.v, id: decoded.id, before: decoded.b === true };
+};
+
+// Filter for documents after (or, for a "before" cursor, before) the cursor position
+const buildKeysetFilter = (sort, cursor) => {
+    if (!cursor) return {};
+    const { field } = sort;
+    // Walking backwards flips the comparison
+    const direction = cursor.before ? -sort.direction : sort.direction;
+    const op = direction === 1 ? "$gt" : "$lt";
+
+    // Missing values sort lowest
+    if (cursor.value === null) {
+        if (direction === 1) {
+            return { $or: [{ [field]: null, _id: { $gt: cursor.id } }, { [field]: { $ne: null } }] };
+        }
+        return { [field]: null, _id: { $lt: cursor.id } };
+    }
+    const or = [{ [field]: { [op]: cursor.value } }, { [field]: cursor.value, _id: { [op]: cursor.id } }];
+    if (direction === -1) or.push({ [field]: null });
+    return { $or: or };
+};
+
+const buildKeysetSort = (sort, cursor) => {
+    const direction = cursor?.before ? -sort.direction : sort.direction;
+    return { [sort.field]: direction, _id: direction };
+};
+
+// The caller's projection; an inclusion projection always keeps the sort field for the cursor
+const buildProjection = (projection, sort) => {
+    if (projection && Object.values(projection).some((value) => value)) return { ...projection, [sort.field]: 1 };
+    return projection;
+};
+
+// Turn pageSize + 1 fetched documents into a page with next / previous cursors
+const buildKeysetPage = ({ docs, sort, cursor, pageSize }) => {
+    const hasMore = docs.length > pageSize;
+    const items = docs.slice(0, pageSize);
+    if (cursor?.before) items.reverse();
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    const hasNext = cursor?.before ? true : hasMore;
+    const hasPrevious = cursor?.before ? hasMore : !!cursor;
+
+    return {
+        items,
+        nextId: hasNext && last ? encodeCursor(last, sort, false) : null,
+        previousId: hasPrevious && first ? encodeCursor(first, sort, true) : null,
+    };
+};
+
+// Utility function for paginating a MongoDB collection.
+// sort: { field, direction } chosen by the caller; projection limits the fields returned.
+const paginateCollection = async ({
+    collection,
+    req,
+    filter = {},
+    projection = null,
+    sort = { field: "_id", direction: -1 },
+    defaultPageSize = 6,
+}) => {
+    const pageSize = getPageSize(req, defaultPageSize);
+    const cursor = decodeCursor(req.query.cursor, sort);
 
     // Count total documents matching the filter
     const total = await collection.countDocuments(filter);
 
-    // Adjust cursor if it exceeds total
-    const adjustedCursor = cursor >= total ? Math.max(total - pageSize, 0) : cursor;
-
-    // Fetch paginated items from the collection
-    const items = await collection
-        .find(filter, { projection })
-        .skip(adjustedCursor)
-        .limit(pageSize)
+    const docs = await collection
+        .find({ $and: [filter, buildKeysetFilter(sort, cursor)] }, { projection: buildProjection(projection, sort) })
+        .sort(buildKeysetSort(sort, cursor))
+        .limit(pageSize + 1)
         .toArray();
 
-    // Calculate next and previous cursor positions
-    const nextId = adjustedCursor + pageSize < total ? adjustedCursor + pageSize : null;
-    const previousId = adjustedCursor - pageSize >= 0 ? adjustedCursor - pageSize : null;
-
-    // Return paginated result
-    return { items, nextId, previousId, total };
+    const page = buildKeysetPage({ docs, sort, cursor, pageSize });
+    return { ...page, total };
 };
 
-module.exports = paginateCollection;
+module.exports = {
+    paginateCollection,
+    getPageSize,
+    decodeCursor,
+    buildKeysetFilter,
+    buildKeysetSort,
+    buildKeysetPage,
+};
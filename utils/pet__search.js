@@ -0,0 +1,138 @@
+const {
+    getPageSize,
+    decodeCursor,
+    buildKeysetFilter,
+    buildKeysetSort,
+    buildKeysetPage,
+} = require("./pagination__collection.js");
+const { DISTANCE_SORT, withinRadius, distanceExpression } = require("./geo__location.js");
+
+// Pet search service shared by /all-pets and /category-pets
+
+// Text index used for relevance ranking; pet_name matches count the most
+const PET_TEXT_INDEX = {
+    keys: { pet_name: "text", breed: "text", location: "text", short_description: "text", long_description: "text" },
+    options: {
+        name: "pet_search_text",
+        weights: { pet_name: 10, breed: 5, location: 3, short_description: 2, long_description: 1 },
+    },
+};
+
+const AGE_BUCKETS = [0, 1, 3, 7, 100];
+const AGE_BUCKET_LABELS = { 0: "under_1", 1: "1_to_3", 3: "3_to_7", 7: "7_plus" };
+const SORTS = {
+    newest: { field: "created_at", direction: -1 },
+    oldest: { field: "created_at", direction: 1 },
+    relevance: { field: "score", direction: -1 },
+    distance: DISTANCE_SORT,
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "Small Animals", "small_animals" and "smallanimals" are the same category
+const normalizeCategory = (str) => str?.toString().toLowerCase().replace(/\s|_/g, "").trim();
+const categoryMatch = (category) => ({
+    $expr: {
+        $eq: [
+            {
+                $replaceAll: {
+                    input: { $replaceAll: { input: { $toLower: "$category" }, find: "_", replacement: "" } },
+                    find: " ",
+                    replacement: "",
+                },
+            },
+            normalizeCategory(category),
+        ],
+    },
+});
+
+const toNumber = (value) => (value === undefined || value === "" || isNaN(value) ? undefined : Number(value));
+
+// Split the query into the base filter and the facet filters (category, age), so each facet
+// can be counted without its own filter applied
+const buildPetFilters = (query) => {
+    const { search, location, gender, size, vaccinated } = query;
+    const base = { adopted: false, deleted_at: null };
+
+    if (search) base.$text = { $search: search.toString() };
+    if (location) base.location = { $regex: escapeRegex(location.toString()), $options: "i" };
+    if (gender) base.gender = gender.toString().toLowerCase();
+    if (size) base.size = size.toString().toLowerCase();
+    if (vaccinated === "true" || vaccinated === "false") base.vaccinated = vaccinated === "true";
+
+    const category = query.category ? categoryMatch(query.category) : {};
+
+    const minAge = toNumber(query.min_age);
+    const maxAge = toNumber(query.max_age);
+    const age = {};
+    if (minAge !== undefined || maxAge !== undefined) {
+        age.pet_age = {};
+        if (minAge !== undefined) age.pet_age.$gte = minAge;
+        if (maxAge !== undefined) age.pet_age.$lte = maxAge;
+    }
+
+    return { base, category, age };
+};
+
+// Run a search and return one page of pets with facet counts.
+// Page shape matches paginateCollection: { items, nextId, previousId, total }, plus facets and sort.
+// geo (from parseGeoQuery) limits the search to a radius; results then come nearest first with distance_km.
+const searchPets = async ({ petCollection, req, geo = null }) => {
+    const { query } = req;
+    const pageSize = getPageSize(req);
+    const { base, category, age } = buildPetFilters(query);
+    Object.assign(base, withinRadius(geo));
+
+    // Relevance only makes sense when there is something to rank against, distance when there is a point
+    let sortBy = SORTS[query.sort] ? query.sort : geo ? "distance" : base.$text ? "relevance" : "newest";
+    if (sortBy === "relevance" && !base.$text) sortBy = "newest";
+    if (sortBy === "distance" && !geo) sortBy = "newest";
+    const sort = SORTS[sortBy];
+    const cursor = decodeCursor(query.cursor, sort);
+
+    const pipeline = [{ $match: base }];
+    if (base.$text) pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+    if (geo) pipeline.push({ $addFields: { distance_km: distanceExpression(geo) } });
+    pipeline.push({
+        $facet: {
+            items: [
+                { $match: { ...category, ...age } },
+                { $match: buildKeysetFilter(sort, cursor) },
+                { $sort: buildKeysetSort(sort, cursor) },
+                { $limit: pageSize + 1 },
+            ],
+            total: [{ $match: { ...category, ...age } }, { $count: "count" }],
+            categories: [
+                { $match: age },
+                { $group: { _id: "$category", count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+            ],
+            ages: [
+                { $match: category },
+                {
+                    $bucket: {
+                        groupBy: "$pet_age",
+                        boundaries: AGE_BUCKETS,
+                        default: "unknown",
+                        output: { count: { $sum: 1 } },
+                    },
+                },
+            ],
+        },
+    });
+
+    const [result] = await petCollection.aggregate(pipeline).toArray();
+    const total = result.total[0]?.count || 0;
+
+    return {
+        ...buildKeysetPage({ docs: result.items, sort, cursor, pageSize }),
+        total,
+        sort: sortBy,
+        facets: {
+            categories: result.categories.map((item) => ({ category: item._id, count: item.count })),
+            ages: result.ages.map((item) => ({ bucket: AGE_BUCKET_LABELS[item._id] || item._id, count: item.count })),
+        },
+    };
+};
+
+module.exports = { PET_TEXT_INDEX, escapeRegex, normalizeCategory, buildPetFilters, searchPets };
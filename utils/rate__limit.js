@@ -0,0 +1,125 @@
+// Fixed-window rate limits per route group, counted per IP and (once the caller is known) per user.
+// Counters live in a store: in memory by default, or in MongoDB (RATE_LIMIT_STORE=mongo) so several
+// server instances share them.
+
+// Requests allowed per window; "user" only applies on routes where req.user / req.firebaseUser is set.
+// Override any of them with RATE_LIMITS='{"payments":{"user":5},"general":{"ip":600}}'
+const DEFAULT_RATE_LIMITS = {
+    general: { windowSeconds: 60, ip: 300 },
+    auth: { windowSeconds: 60, ip: 20, user: 10 },
+    payments: { windowSeconds: 60, ip: 20, user: 10 },
+    adoption: { windowSeconds: 3600, ip: 20, user: 10 },
+    reviews: { windowSeconds: 3600, ip: 20, user: 5 },
+    writes: { windowSeconds: 60, ip: 60, user: 30 },
+};
+
+const getRateLimits = () => {
+    let overrides = {};
+    try {
+        overrides = JSON.parse(process.env.RATE_LIMITS || "{}");
+    } catch (error) {
+        console.error("RATE_LIMITS is not valid JSON:", error.message);
+    }
+    return Object.fromEntries(
+        Object.entries(DEFAULT_RATE_LIMITS).map(([group, limits]) => [group, { ...limits, ...overrides[group] }])
+    );
+};
+
+// store.increment(key, windowMs) counts one request and resolves to { count, resetAt } (resetAt in ms)
+const createMemoryStore = () => {
+    const windows = new Map();
+    // Drop finished windows now and then so the map does not grow forever
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of windows) if (entry.resetAt <= now) windows.delete(key);
+    }, 60000);
+    sweep.unref();
+
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count += 1;
+            return { count: entry.count, resetAt: entry.resetAt };
+        },
+    };
+};
+
+// One document per key; a TTL index removes finished windows
+const createMongoStore = (collection) => {
+    collection
+        .createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 })
+        .catch((error) => console.error("Failed to create rate limit index:", error));
+
+    return {
+        increment: async (key, windowMs) => {
+            const now = new Date();
+            // Start a new window when there is none yet or the last one ended, all in one atomic update
+            const expired = { $lte: [{ $ifNull: ["$expires_at", now] }, now] };
+            const entry = await collection.findOneAndUpdate(
+                { _id: key },
+                [
+                    {
+                        $set: {
+                            count: { $cond: [expired, 1, { $add: ["$count", 1] }] },
+                            expires_at: { $cond: [expired, new Date(now.getTime() + windowMs), "$expires_at"] },
+                        },
+                    },
+                ],
+                { upsert: true, returnDocument: "after" }
+            );
+            return { count: entry.count, resetAt: entry.expires_at.getTime() };
+        },
+    };
+};
+
+// Returns limit(group): a middleware that answers 429 with Retry-After once the IP or user is over the limit.
+// limit(group, { scope: "user" }) counts only the user, for a second check once a route has identified the caller.
+// Like the audit log, a failing store never blocks a request.
+const createRateLimiter =
+    ({ store, limits = getRateLimits() }) =>
+    (group, { scope } = {}) => {
+        const config = limits[group];
+        if (!config) throw new Error(`Unknown rate limit group: ${group}`);
+        const windowMs = config.windowSeconds * 1000;
+
+        return async (req, res, next) => {
+            const user = req.user?.email || req.firebaseUser?.email;
+            const checks = scope === "user" ? [] : [{ key: `${group}:ip:${req.ip}`, max: config.ip }];
+            if (user && config.user) checks.push({ key: `${group}:user:${user}`, max: config.user });
+
+            try {
+                // The headers describe whichever limit is closest to running out
+                let tightest = null;
+                for (const { key, max } of checks) {
+                    if (!max) continue;
+                    const { count, resetAt } = await store.increment(key, windowMs);
+                    const result = { max, remaining: max - count, resetAt };
+                    if (!tightest || result.remaining < tightest.remaining) tightest = result;
+                }
+                if (tightest) {
+                    const resetSeconds = Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+                    res.setHeader("RateLimit-Limit", tightest.max);
+                    res.setHeader("RateLimit-Remaining", Math.max(0, tightest.remaining));
+                    res.setHeader("RateLimit-Reset", resetSeconds);
+                    if (tightest.remaining < 0) {
+                        res.setHeader("Retry-After", resetSeconds);
+                        return res.status(429).send({
+                            success: false,
+                            message: `Too many requests, please try again in ${resetSeconds} seconds`,
+                            retry_after: resetSeconds,
+                        });
+                    }
+                }
+            } catch (error) {
+                console.error("Rate limit store failed:", error);
+            }
+            next();
+        };
+    };
+
+module.exports = { DEFAULT_RATE_LIMITS, getRateLimits, createMemoryStore, createMongoStore, createRateLimiter };
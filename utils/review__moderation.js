@@ -0,0 +1,60 @@
+// Review moderation: admins can hide, flag or restore a review; only "active" reviews are public.
+// Flagged reviews are held back from the public list until an admin restores or hides them.
+
+const REVIEW_STATUSES = ["active", "flagged", "hidden"];
+const PUBLIC_REVIEW_STATUS = "active";
+
+// Moderation action -> status it moves the review into
+const MODERATION_ACTIONS = { hide: "hidden", flag: "flagged", restore: "active" };
+
+// Apply one moderation action; every action is kept in the review's moderation_history.
+// Resolves to { success: true, review } or { success: false, code, message }.
+const moderateReview = async ({ reviewsCollection, review, action, reason, actor }) => {
+    const status = MODERATION_ACTIONS[action];
+    if (!status) {
+        return { success: false, code: 400, message: `Unknown moderation action "${action}"` };
+    }
+    const from = review.status || PUBLIC_REVIEW_STATUS;
+    if (from === status) {
+        return { success: false, code: 409, message: `Review is already ${status}` };
+    }
+
+    const now = new Date().toISOString();
+    const entry = { action, from, to: status, reason: reason || null, actor: actor.email, at: now };
+    await reviewsCollection.updateOne(
+        { _id: review._id },
+        {
+            $set: {
+                status,
+                // The latest reason is shown to the author; restoring clears it
+                moderation_reason: status === PUBLIC_REVIEW_STATUS ? null : reason || null,
+                moderated_by: actor.email,
+                moderated_at: now,
+            },
+            $push: { moderation_history: entry },
+        }
+    );
+    const updated = await reviewsCollection.findOne({ _id: review._id });
+    return { success: true, review: updated };
+};
+
+// Average rating and number of reviews for each star (1-5) over public reviews
+const getRatingSummary = async (reviewsCollection) => {
+    const groups = await reviewsCollection
+        .aggregate([{ $match: { status: PUBLIC_REVIEW_STATUS } }, { $group: { _id: "$rating", count: { $sum: 1 } } }])
+        .toArray();
+
+    const stars = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    let sum = 0;
+    for (const group of groups) {
+        const rating = Number(group._id);
+        if (!stars.hasOwnProperty(rating)) continue;
+        stars[rating] += group.count;
+        total += group.count;
+        sum += rating * group.count;
+    }
+    return { average: total ? Math.round((sum / total) * 10) / 10 : 0, total, stars };
+};
+
+module.exports = { REVIEW_STATUSES, PUBLIC_REVIEW_STATUS, MODERATION_ACTIONS, moderateReview, getRatingSummary };
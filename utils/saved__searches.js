@@ -0,0 +1,38 @@
+const { buildPetFilters } = require("./pet__search.js");
+
+// Saved searches: named /all-pets criteria a user can check for newly added pets
+
+// Criteria fields, in the same shape /all-pets reads them from the query string
+const SAVED_SEARCH_FIELDS = ["search", "category", "location", "gender", "size", "vaccinated", "min_age", "max_age"];
+
+const MAX_NEW_PETS = 50;
+
+// Keep only the /all-pets criteria from a validated body
+const pickCriteria = (body) =>
+    Object.fromEntries(
+        SAVED_SEARCH_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+    );
+
+// MongoDB filter for pets matching the criteria that were added after `since`
+const buildNewPetsFilter = (criteria, since) => {
+    // buildPetFilters works on query strings
+    const query = Object.fromEntries(Object.entries(criteria || {}).map(([field, value]) => [field, String(value)]));
+    const { base, category, age } = buildPetFilters(query);
+    const filter = { ...base, ...category, ...age };
+    if (since) filter.created_at = { $gt: since };
+    return filter;
+};
+
+// Pets added since the search was last checked, newest first; the check time moves forward afterwards
+const checkSavedSearch = async ({ savedSearchesCollection, petCollection, savedSearch }) => {
+    const checkedAt = new Date().toISOString();
+    const filter = buildNewPetsFilter(savedSearch.criteria, savedSearch.last_checked_at);
+
+    const total = await petCollection.countDocuments(filter);
+    const pets = await petCollection.find(filter).sort({ created_at: -1, _id: -1 }).limit(MAX_NEW_PETS).toArray();
+    await savedSearchesCollection.updateOne({ _id: savedSearch._id }, { $set: { last_checked_at: checkedAt } });
+
+    return { pets, total, since: savedSearch.last_checked_at, checked_at: checkedAt };
+};
+
+module.exports = { SAVED_SEARCH_FIELDS, pickCriteria, buildNewPetsFilter, checkSavedSearch };
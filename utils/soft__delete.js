@@ -0,0 +1,105 @@
+const { cancelOpenRequests } = require("./adoption__workflow.js");
+const { removeImageFiles } = require("./image__uploads.js");
+
+// Soft deletion for pets and donation campaigns: documents get deleted_at / deleted_by and disappear
+// from listings, an admin can restore them, and they are purged for good after a retention period.
+
+// Matches documents that have not been soft deleted (deleted_at missing or null)
+const NOT_DELETED = { deleted_at: null };
+
+const getRetentionDays = () => Number(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+// Soft delete a pet and cancel its open adoption requests
+const softDeletePet = async ({ petCollection, adoptRequestsCollection, pet, actor, notify }) => {
+    const now = new Date().toISOString();
+    await petCollection.updateOne(
+        { _id: pet._id },
+        { $set: { deleted_at: now, deleted_by: actor.email, last_updated: now } }
+    );
+    const adoptionRequestUpdate = await cancelOpenRequests({
+        adoptRequestsCollection,
+        petId: pet._id,
+        actor: { email: actor.email, role: "system" },
+        reason: "The pet listing was removed",
+        notify,
+    });
+    return { deleted_at: now, cancelledRequests: adoptionRequestUpdate.modifiedCount };
+};
+
+// Soft delete a campaign, unless it still holds money: its donations must be refunded first.
+// Resolves to { success: true, deleted_at } or { success: false, code, message }.
+const softDeleteCampaign = async ({ donationsCollection, recievedDonationCollection, campaign, actor }) => {
+    const unrefunded = await recievedDonationCollection.countDocuments({
+        campaign_id: campaign._id,
+        payment_status: { $ne: "failed" },
+        $expr: { $gt: ["$amount_donated", { $ifNull: ["$amount_refunded", 0] }] },
+    });
+    if (unrefunded > 0) {
+        return {
+            success: false,
+            code: 409,
+            message: `This campaign has ${unrefunded} donation(s) that must be refunded before it can be deleted`,
+        };
+    }
+
+    const now = new Date().toISOString();
+    await donationsCollection.updateOne(
+        { _id: campaign._id },
+        {
+            $set: {
+                deleted_at: now,
+                deleted_by: actor.email,
+                paused: true,
+                // Put back on restore, so a live campaign does not come back paused
+                paused_before_delete: campaign.paused === true,
+                last_updated: now,
+            },
+        }
+    );
+    return { success: true, deleted_at: now };
+};
+
+// Bring a soft deleted pet or campaign back (a campaign as paused or live as it was before)
+const restoreDocument = async ({ collection, doc, actor }) => {
+    const now = new Date().toISOString();
+    const update = {
+        $set: { restored_at: now, restored_by: actor.email, last_updated: now },
+        $unset: { deleted_at: "", deleted_by: "", paused_before_delete: "" },
+    };
+    if (doc.paused_before_delete !== undefined) update.$set.paused = doc.paused_before_delete;
+    await collection.updateOne({ _id: doc._id }, update);
+    return { restored_at: now };
+};
+
+// Permanently remove pets and campaigns deleted longer ago than the retention period.
+// A purged pet takes its adoption requests and uploaded images with it; donation records are kept.
+const purgeDeleted = async ({ petCollection, donationsCollection, adoptRequestsCollection, imageStorage }) => {
+    const cutoff = new Date(Date.now() - getRetentionDays() * 86400000).toISOString();
+    const expired = { deleted_at: { $ne: null, $lt: cutoff } };
+
+    const pets = await petCollection.find(expired, { projection: { _id: 1, images: 1 } }).toArray();
+    const petIds = pets.map((pet) => pet._id);
+    const requests = await adoptRequestsCollection.deleteMany({
+        pet_id: { $in: petIds.map((id) => id.toString()) },
+    });
+    const petResult = await petCollection.deleteMany({ _id: { $in: petIds } });
+    const campaigns = await donationsCollection.find(expired, { projection: { _id: 1, images: 1 } }).toArray();
+    const campaignResult = await donationsCollection.deleteMany({ _id: { $in: campaigns.map((item) => item._id) } });
+
+    // Restoring is no longer possible, so the files can go too
+    if (imageStorage) {
+        await removeImageFiles(
+            imageStorage,
+            [...pets, ...campaigns].flatMap((doc) => doc.images || [])
+        );
+    }
+
+    return {
+        cutoff,
+        pets: petResult.deletedCount,
+        adoptionRequests: requests.deletedCount,
+        campaigns: campaignResult.deletedCount,
+    };
+};
+
+module.exports = { NOT_DELETED, softDeletePet, softDeleteCampaign, restoreDocument, purgeDeleted };
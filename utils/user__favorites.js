@@ -0,0 +1,70 @@
+const { ObjectId } = require("mongodb");
+const { getCampaignStatus } = require("./campaign__status.js");
+
+// Favorites: a user's shortlist of pets and donation campaigns.
+// A snapshot of the name and image is kept on the favorite, so a pet that is adopted, deleted or purged
+// still shows up as unavailable instead of disappearing from the list.
+
+const FAVORITE_TARGETS = {
+    pet: { label: "Pet", collectionKey: "petCollection" },
+    campaign: { label: "Donation Campaign", collectionKey: "donationsCollection" },
+};
+
+// Why a favorited pet or campaign can no longer be adopted / donated to (null while it still can)
+const getUnavailableReason = (targetType, doc) => {
+    if (!doc) return "removed";
+    if (doc.deleted_at) return "deleted";
+    if (targetType === "pet") return doc.adopted === true ? "adopted" : null;
+    const status = getCampaignStatus(doc);
+    return status === "active" ? null : status;
+};
+
+// Add a favorite (adding the same one twice is a no-op).
+// Resolves to { success: true, favorite } or { success: false, code, message }.
+const addFavorite = async ({ favoritesCollection, collections, user, targetType, targetId }) => {
+    const target = FAVORITE_TARGETS[targetType];
+    const doc = await collections[target.collectionKey].findOne({ _id: new ObjectId(targetId), deleted_at: null });
+    if (!doc) {
+        return { success: false, code: 404, message: `${target.label} not found` };
+    }
+
+    const filter = { user_email: user.email, target_type: targetType, target_id: doc._id };
+    await favoritesCollection.updateOne(
+        filter,
+        {
+            $setOnInsert: {
+                ...filter,
+                snapshot: { name: doc.pet_name, image: doc.pet_image },
+                created_at: new Date().toISOString(),
+            },
+        },
+        { upsert: true }
+    );
+    const favorite = await favoritesCollection.findOne(filter);
+    return { success: true, favorite };
+};
+
+// Attach the current pet / campaign to each favorite with its availability
+const withAvailability = async ({ favorites, collections }) => {
+    const docsByType = {};
+    for (const [targetType, target] of Object.entries(FAVORITE_TARGETS)) {
+        const ids = favorites.filter((item) => item.target_type === targetType).map((item) => item.target_id);
+        if (!ids.length) continue;
+        const docs = await collections[target.collectionKey].find({ _id: { $in: ids } }).toArray();
+        docsByType[targetType] = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+    }
+
+    return favorites.map((favorite) => {
+        const doc = docsByType[favorite.target_type]?.get(favorite.target_id.toString()) || null;
+        const reason = getUnavailableReason(favorite.target_type, doc);
+        return {
+            ...favorite,
+            // Deleted documents are not shown, only the snapshot taken when they were favorited
+            target: doc && !doc.deleted_at ? doc : null,
+            available: !reason,
+            unavailable_reason: reason,
+        };
+    });
+};
+
+module.exports = { FAVORITE_TARGETS, getUnavailableReason, addFavorite, withAvailability };
@@ -0,0 +1,112 @@
+const { ObjectId } = require("mongodb");
+
+// Small schema validator for request bodies.
+// A schema maps field names to rules: { type, required, enum, min, max, minLength, maxLength, items,
+// maxItems, maxKeys }.
+// Only declared fields are kept, so anything the server owns can never be written by a client.
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Check (and lightly coerce) one value; returns { value } or { error }
+const checkValue = (value, rule) => {
+    switch (rule.type) {
+        case "string":
+        case "email":
+        case "url": {
+            if (typeof value !== "string") return { error: "must be a string" };
+            const trimmed = value.trim();
+            if (rule.minLength !== undefined && trimmed.length < rule.minLength)
+                return { error: `must be at least ${rule.minLength} characters` };
+            if (rule.maxLength !== undefined && trimmed.length > rule.maxLength)
+                return { error: `must be at most ${rule.maxLength} characters` };
+            if (rule.type === "email" && !EMAIL_REGEX.test(trimmed)) return { error: "must be a valid email" };
+            if (rule.type === "url" && !/^https?:\/\/\S+$/i.test(trimmed)) return { error: "must be an http(s) URL" };
+            if (rule.enum && !rule.enum.includes(trimmed)) return { error: `must be one of ${rule.enum.join(", ")}` };
+            return { value: trimmed };
+        }
+        case "number":
+        case "integer": {
+            // Form fields often arrive as numeric strings
+            const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+            if (typeof number !== "number" || !Number.isFinite(number)) return { error: "must be a number" };
+            if (rule.type === "integer" && !Number.isInteger(number)) return { error: "must be a whole number" };
+            if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+            if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+            return { value: number };
+        }
+        case "boolean": {
+            if (value === "true" || value === "false") return { value: value === "true" };
+            if (typeof value !== "boolean") return { error: "must be true or false" };
+            return { value };
+        }
+        case "date": {
+            if (typeof value !== "string" || isNaN(new Date(value))) return { error: "must be a valid date" };
+            return { value };
+        }
+        case "objectId": {
+            if (typeof value !== "string" || !ObjectId.isValid(value)) return { error: "must be a valid id" };
+            return { value };
+        }
+        case "array": {
+            if (!Array.isArray(value)) return { error: "must be a list" };
+            if (rule.maxItems !== undefined && value.length > rule.maxItems)
+                return { error: `must have at most ${rule.maxItems} items` };
+            const items = [];
+            for (const item of value) {
+                const checked = checkValue(item, rule.items);
+                if (checked.error) return { error: `items ${checked.error}` };
+                items.push(checked.value);
+            }
+            return { value: items };
+        }
+        case "object": {
+            // Fields are left as sent; whoever owns them checks them further (e.g. questionnaire answers)
+            if (!value || typeof value !== "object" || Array.isArray(value)) return { error: "must be an object" };
+            if (rule.maxKeys !== undefined && Object.keys(value).length > rule.maxKeys)
+                return { error: `must have at most ${rule.maxKeys} fields` };
+            return { value };
+        }
+        default:
+            return { error: "has an unsupported type" };
+    }
+};
+
+// Validate a body against a schema. With partial, required fields may be left out (used for updates).
+// Returns { value, errors } where errors is a list of { field, message }.
+const validate = (schema, body, { partial = false } = {}) => {
+    const input = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+    const value = {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        // Own fields only, so a field named like an Object method never reads from the prototype
+        const raw = Object.hasOwn(input, field) ? input[field] : undefined;
+        const missing = raw === undefined || raw === null || (typeof raw === "string" && raw.trim() === "");
+        if (missing) {
+            if (rule.required && !partial) errors.push({ field, message: "is required" });
+            continue;
+        }
+        const checked = checkValue(raw, rule);
+        if (checked.error) errors.push({ field, message: checked.error });
+        else value[field] = checked.value;
+    }
+
+    return { value, errors };
+};
+
+// Express middleware: replaces req.body with the validated fields or answers 400 with per-field errors
+const validateBody =
+    (schema, options = {}) =>
+    (req, res, next) => {
+        const { value, errors } = validate(schema, req.body, options);
+        if (!errors.length && options.partial && Object.keys(value).length === 0) {
+            errors.push({ field: null, message: "No valid fields to update" });
+        }
+        if (errors.length) {
+            return res.status(400).send({ success: false, message: "Validation failed", errors });
+        }
+        req.body = value;
+        next();
+    };
+
+module.exports = { validate, validateBody };
@@ -0,0 +1,129 @@
+const { NOTIFICATION_TYPES } = require("./notification__center.js");
+const { getSupportedCurrencies } = require("./currency__units.js");
+
+// Declared shapes of what clients may write. Server-owned fields (adopted, added_by, total_donations,
+// created_at, status, role, ...) are deliberately absent, so the validator drops them.
+
+const petSchema = {
+    pet_name: { type: "string", required: true, minLength: 1, maxLength: 80 },
+    // Optional: the first image uploaded through /pets/:id/images (or the campaign equivalent) becomes the cover
+    pet_image: { type: "url", maxLength: 2048 },
+    category: { type: "string", required: true, minLength: 1, maxLength: 40 },
+    pet_age: { type: "number", required: true, min: 0, max: 40 },
+    location: { type: "string", required: true, minLength: 1, maxLength: 120 },
+    short_description: { type: "string", required: true, minLength: 1, maxLength: 300 },
+    long_description: { type: "string", maxLength: 5000 },
+    breed: { type: "string", maxLength: 80 },
+    gender: { type: "string", enum: ["male", "female", "unknown"] },
+    size: { type: "string", enum: ["small", "medium", "large"] },
+    vaccinated: { type: "boolean" },
+};
+
+const campaignSchema = {
+    pet_name: { type: "string", required: true, minLength: 1, maxLength: 80 },
+    pet_image: { type: "url", maxLength: 2048 },
+    max_donation: { type: "number", required: true, min: 1, max: 10000000 },
+    // Place name, geocoded for proximity search like a pet's location
+    location: { type: "string", maxLength: 120 },
+    // Lowercase ISO code; campaigns without one are in USD
+    currency: { type: "string", enum: getSupportedCurrencies() },
+    last_date: { type: "date", required: true },
+    short_description: { type: "string", required: true, minLength: 1, maxLength: 300 },
+    long_description: { type: "string", maxLength: 5000 },
+    refund_window_days: { type: "integer", min: 0, max: 180 },
+    paused: { type: "boolean" },
+};
+
+const adoptionRequestSchema = {
+    pet_id: { type: "objectId", required: true },
+    user_email: { type: "email", required: true, maxLength: 254 },
+    user_name: { type: "string", maxLength: 80 },
+    phone: { type: "string", required: true, minLength: 5, maxLength: 30 },
+    address: { type: "string", required: true, minLength: 1, maxLength: 300 },
+    message: { type: "string", maxLength: 2000 },
+    // { [question id]: answer }, checked against the pet's questionnaire by the route
+    answers: { type: "object", maxKeys: 30 },
+};
+
+// Optional reason sent along with adoption status changes
+const adoptionReasonSchema = {
+    reason: { type: "string", maxLength: 500 },
+};
+
+const reviewSchema = {
+    rating: { type: "integer", required: true, min: 1, max: 5 },
+    comment: { type: "string", required: true, minLength: 1, maxLength: 1000 },
+    userId: { type: "string", required: true, minLength: 1, maxLength: 128 },
+    userEmail: { type: "email", required: true, maxLength: 254 },
+    userName: { type: "string", maxLength: 80 },
+    userPhoto: { type: "url", maxLength: 2048 },
+};
+
+// Authors may only change what they wrote
+const reviewEditSchema = {
+    rating: reviewSchema.rating,
+    comment: reviewSchema.comment,
+};
+
+const reviewModerationSchema = {
+    action: { type: "string", required: true, enum: ["hide", "flag", "restore"] },
+    reason: { type: "string", maxLength: 500 },
+};
+
+const adoptionMessageSchema = {
+    body: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+};
+
+const messageReportSchema = {
+    reason: { type: "string", required: true, minLength: 1, maxLength: 500 },
+};
+
+const messageModerationSchema = {
+    action: { type: "string", required: true, enum: ["hide", "restore", "dismiss"] },
+    reason: { type: "string", maxLength: 500 },
+};
+
+const favoriteSchema = {
+    target_type: { type: "string", required: true, enum: ["pet", "campaign"] },
+    target_id: { type: "objectId", required: true },
+};
+
+// Named /all-pets criteria
+const savedSearchSchema = {
+    name: { type: "string", required: true, minLength: 1, maxLength: 80 },
+    search: { type: "string", maxLength: 200 },
+    category: { type: "string", maxLength: 50 },
+    location: { type: "string", maxLength: 200 },
+    gender: petSchema.gender,
+    size: petSchema.size,
+    vaccinated: { type: "boolean" },
+    min_age: { type: "number", min: 0, max: 100 },
+    max_age: { type: "number", min: 0, max: 100 },
+};
+
+const pledgeSchema = {
+    campaign_id: { type: "objectId", required: true },
+    amount: { type: "number", required: true, min: 1, max: 10000 },
+};
+
+// One on/off switch per notification type
+const notificationPreferencesSchema = Object.fromEntries(
+    Object.keys(NOTIFICATION_TYPES).map((type) => [type, { type: "boolean" }])
+);
+
+module.exports = {
+    petSchema,
+    campaignSchema,
+    adoptionRequestSchema,
+    adoptionReasonSchema,
+    reviewSchema,
+    reviewEditSchema,
+    reviewModerationSchema,
+    adoptionMessageSchema,
+    messageReportSchema,
+    messageModerationSchema,
+    notificationPreferencesSchema,
+    favoriteSchema,
+    savedSearchSchema,
+    pledgeSchema,
+};